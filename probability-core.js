@@ -0,0 +1,729 @@
+// ============================================
+// PROBABILITY-CORE.JS - Probability, odds and log-odds math
+// DOM-free ES module: imported by script.js and question-generator.js,
+// and directly importable from Node (see tests/)
+// ============================================
+
+/**
+ * Rounds a number to 3 decimal places
+ * @param {number} value - The value to round
+ * @returns {number} Rounded value
+ */
+function roundToThreeDecimals(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Calculates odds from probability
+ * Formula: odds = p / (1 - p)
+ * Edge cases: p <= 0 gives 0, p >= 1 gives Infinity
+ * @param {number} probability - Value between 0 and 1
+ * @returns {number} Calculated odds
+ */
+function probabilityToOdds(probability) {
+    if (probability >= 1) return Infinity;
+    if (probability <= 0) return 0;
+    return probability / (1 - probability);
+}
+
+/**
+ * Calculates log-odds (logit) from probability
+ * Formula: log-odds = ln(p) - ln(1 - p), with ln(1 - p) taken as log1p(-p)
+ * so probabilities like 1e-12 keep full precision
+ * Edge cases: p <= 0 gives -Infinity, p >= 1 gives Infinity
+ * @param {number} probability - Value between 0 and 1
+ * @returns {number} Calculated log-odds
+ */
+function probabilityToLogOdds(probability) {
+    if (probability >= 1) return Infinity;
+    if (probability <= 0) return -Infinity;
+    return Math.log(probability) - Math.log1p(-probability);
+}
+
+/**
+ * Converts log-odds back to probability (the logistic sigmoid)
+ * Formula: p = 1 / (1 + e^(-logit)), evaluated as e^(logit) / (1 + e^(logit))
+ * for negative log-odds so neither form overflows
+ * Edge cases: +Infinity gives 1, -Infinity gives 0
+ * @param {number} logOdds - The log-odds value
+ * @returns {number} Calculated probability
+ */
+function logOddsToProbability(logOdds) {
+    if (logOdds >= 0) return 1 / (1 + Math.exp(-logOdds));
+    const eLogOdds = Math.exp(logOdds);
+    return eLogOdds / (1 + eLogOdds);
+}
+
+/**
+ * ln(1 + e^x) without overflow for large x or loss of precision for very negative x
+ * @param {number} x - Any number
+ * @returns {number} ln(1 + e^x)
+ */
+function log1pExp(x) {
+    if (x > 36) return x + Math.exp(-x);
+    return Math.log1p(Math.exp(x));
+}
+
+/**
+ * Log of the probability for given log-odds, computed in log space
+ * Formula: ln(p) = -ln(1 + e^(-logit))
+ * Stays accurate where p itself underflows, e.g. log-odds of -800
+ * @param {number} logOdds - The log-odds value
+ * @returns {number} Natural log of the probability (0 down to -Infinity)
+ */
+function logOddsToLogProbability(logOdds) {
+    return -log1pExp(-logOdds);
+}
+
+/**
+ * Log-odds from the log of a probability, computed in log space
+ * Formula: log-odds = ln(p) - ln(1 - p), with 1 - p taken as -expm1(ln(p))
+ * @param {number} logProbability - Natural log of a probability (<= 0)
+ * @returns {number} Calculated log-odds
+ */
+function logProbabilityToLogOdds(logProbability) {
+    if (logProbability >= 0) return Infinity;
+    return logProbability - Math.log(-Math.expm1(logProbability));
+}
+
+/**
+ * Converts odds back to probability
+ * Formula: p = odds / (1 + odds)
+ * Edge cases: odds <= 0 gives 0, Infinity gives 1
+ * @param {number} odds - Odds in favour (0 to Infinity)
+ * @returns {number} Calculated probability
+ */
+function oddsToProbability(odds) {
+    if (odds === Infinity) return 1;
+    if (odds <= 0) return 0;
+    return odds / (1 + odds);
+}
+
+/**
+ * Calculates log-odds from odds
+ * Formula: log-odds = ln(odds)
+ * Edge cases: odds <= 0 gives -Infinity, Infinity gives Infinity
+ * @param {number} odds - Odds in favour (0 to Infinity)
+ * @returns {number} Calculated log-odds
+ */
+function oddsToLogOdds(odds) {
+    if (odds <= 0) return -Infinity;
+    return Math.log(odds);
+}
+
+/**
+ * Converts log-odds back to odds
+ * Formula: odds = e^(logit)
+ * Edge cases: -Infinity gives 0, +Infinity gives Infinity
+ * @param {number} logOdds - The log-odds value
+ * @returns {number} Calculated odds
+ */
+function logOddsToOdds(logOdds) {
+    return Math.exp(logOdds);
+}
+
+/**
+ * Wraps a single-value conversion so it accepts a whole array.
+ * Typed arrays come back as a Float64Array; anything else iterable
+ * (including plain arrays) comes back as a plain array.
+ * @param {function(number): number} convert - Single-value conversion
+ * @returns {function(Iterable<number>): (number[]|Float64Array)} Vectorized conversion
+ */
+function vectorize(convert) {
+    return (values) => (ArrayBuffer.isView(values)
+        ? Float64Array.from(values, (value) => convert(value))
+        : Array.from(values, (value) => convert(value)));
+}
+
+// Vectorized conversions, e.g. probabilitiesToOdds([0.25, 0.5]) -> [1/3, 1]
+const probabilitiesToOdds = vectorize(probabilityToOdds);
+const probabilitiesToLogOdds = vectorize(probabilityToLogOdds);
+const oddsToProbabilities = vectorize(oddsToProbability);
+const logOddsToProbabilities = vectorize(logOddsToProbability);
+
+/**
+ * Probabilities from min to max, evenly spaced in log-odds rather than in p,
+ * so curves plotted against probability get more points near 0 and 1 where
+ * they bend fastest
+ * @param {number} min - Smallest probability (greater than 0)
+ * @param {number} max - Largest probability (less than 1)
+ * @param {number} count - Number of points, at least 2
+ * @returns {number[]} Increasing probabilities, starting at min and ending at max
+ */
+function probabilityGrid(min, max, count) {
+    const low = probabilityToLogOdds(min);
+    const high = probabilityToLogOdds(max);
+    const logOdds = Array.from({ length: count }, (_, i) => low + ((high - low) * i) / (count - 1));
+    const grid = logOddsToProbabilities(logOdds);
+    // Pin the ends so the curve meets the axis limits exactly
+    grid[0] = min;
+    grid[count - 1] = max;
+    return grid;
+}
+
+/**
+ * Creates a store holding one probability that several views edit and display.
+ * The value is kept as log-odds so extreme probabilities (1e-12, 1 - 1e-12)
+ * survive a round trip; setters reject values with no finite log-odds
+ * (p of 0 or 1, odds of 0 or Infinity, NaN) and return false.
+ *
+ * Subscribers are called after every accepted change with the new state
+ * { logOdds, probability, complement, odds } (complement = 1 - probability,
+ * computed without cancellation) and the `source` passed to the setter, so
+ * the control being edited can be left as typed.
+ *
+ * @param {number} initialLogOdds - Starting log-odds (0 = probability 0.5)
+ * @returns {Object} Store with get, setProbability, setOdds, setLogOdds and subscribe
+ */
+function createProbabilityStore(initialLogOdds = 0) {
+    let logOdds = initialLogOdds;
+    const listeners = new Set();
+
+    const get = () => ({
+        logOdds,
+        probability: logOddsToProbability(logOdds),
+        complement: logOddsToProbability(-logOdds),
+        odds: logOddsToOdds(logOdds),
+    });
+
+    const setLogOdds = (value, source = null) => {
+        if (!Number.isFinite(value)) return false;
+        logOdds = value;
+        const state = get();
+        listeners.forEach((listener) => listener(state, source));
+        return true;
+    };
+
+    return {
+        get,
+        setLogOdds,
+        setProbability: (probability, source = null) =>
+            probability > 0 && probability < 1 && setLogOdds(probabilityToLogOdds(probability), source),
+        setOdds: (odds, source = null) => odds > 0 && setLogOdds(oddsToLogOdds(odds), source),
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+/**
+ * Wilson score confidence interval for a binomial proportion
+ * Stays inside [0, 1] and behaves well for small n or rates near 0 and 1
+ * @param {number} successes - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} z - Critical value (1.96 for a 95% interval)
+ * @returns {{lower: number, upper: number}} Interval bounds
+ */
+function wilsonInterval(successes, n, z = 1.96) {
+    if (n <= 0) return { lower: 0, upper: 1 };
+    const rate = successes / n;
+    const z2 = z * z;
+    const denominator = 1 + z2 / n;
+    const center = (rate + z2 / (2 * n)) / denominator;
+    const halfWidth = (z * Math.sqrt((rate * (1 - rate)) / n + z2 / (4 * n * n))) / denominator;
+    return {
+        lower: Math.max(0, center - halfWidth),
+        upper: Math.min(1, center + halfWidth),
+    };
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation, g = 7)
+ * @param {number} x - Positive real number
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+    const coefficients = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+        771.32342877765313, -176.61502916214059, 12.507343278686905,
+        -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+    ];
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = coefficients[0];
+    const t = x + 7.5;
+    for (let i = 1; i < coefficients.length; i++) {
+        sum += coefficients[i] / (x + i);
+    }
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Binomial probability mass function P(X = k) for X ~ Binomial(n, p)
+ * Computed in log space so it stays accurate for large n
+ * @param {number} k - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} p - Success probability
+ * @returns {number} Probability of exactly k successes
+ */
+function binomialPmf(k, n, p) {
+    if (k < 0 || k > n) return 0;
+    if (p <= 0) return k === 0 ? 1 : 0;
+    if (p >= 1) return k === n ? 1 : 0;
+    const logChoose = logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+    return Math.exp(logChoose + k * Math.log(p) + (n - k) * Math.log(1 - p));
+}
+
+/**
+ * Normal probability density function
+ * @param {number} x - Point to evaluate
+ * @param {number} mean - Distribution mean
+ * @param {number} sd - Standard deviation (> 0)
+ * @returns {number} Density at x
+ */
+function normalPdf(x, mean, sd) {
+    const z = (x - mean) / sd;
+    return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) = Γ(a, x) / Γ(a)
+ * Uses the series expansion for x < a + 1 and a continued fraction otherwise
+ * @param {number} a - Shape parameter (> 0)
+ * @param {number} x - Lower limit of integration (>= 0)
+ * @returns {number} Q(a, x)
+ */
+function regularizedGammaQ(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+    if (x < a + 1) {
+        // Series for the lower function P(a, x); Q = 1 - P
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+        }
+        return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    // Continued fraction (modified Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.min(1, h * Math.exp(logPrefix));
+}
+
+/**
+ * Upper-tail p-value of a chi-square statistic
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(X >= statistic) for X ~ χ²(df)
+ */
+function chiSquarePValue(statistic, df) {
+    return regularizedGammaQ(df / 2, statistic / 2);
+}
+
+/**
+ * Parses a decimal ("0.25") or fraction ("1/6") string
+ * @param {string} text - Text to parse
+ * @returns {number} Parsed value, or NaN when the text is not a number or fraction
+ */
+function parseFractionOrNumber(text) {
+    const trimmed = String(text).trim();
+    const fraction = trimmed.match(/^([-+]?\d*\.?\d+)\s*\/\s*(\d*\.?\d+)$/);
+    if (fraction) {
+        const denominator = parseFloat(fraction[2]);
+        return denominator === 0 ? NaN : parseFloat(fraction[1]) / denominator;
+    }
+    return trimmed === '' ? NaN : Number(trimmed);
+}
+
+/**
+ * Summary measures for a 2×2 contingency table
+ *
+ *              Event   No event
+ *   Group A      a        b
+ *   Group B      c        d
+ *
+ * Confidence intervals use the usual Wald formulas (on the log scale for the
+ * odds ratio and relative risk). When a cell is zero, 0.5 is added to every
+ * cell for the ratio measures (Haldane–Anscombe correction).
+ * @param {number} a - Group A events
+ * @param {number} b - Group A non-events
+ * @param {number} c - Group B events
+ * @param {number} d - Group B non-events
+ * @param {number} z - Critical value (1.96 for 95% intervals)
+ * @returns {Object} Per-group probability/odds/log-odds and effect measures with CIs
+ */
+function twoByTwoMeasures(a, b, c, d, z = 1.96) {
+    const describeGroup = (events, nonEvents) => {
+        const probability = events / (events + nonEvents);
+        return {
+            n: events + nonEvents,
+            probability,
+            odds: probabilityToOdds(probability),
+            logOdds: probabilityToLogOdds(probability),
+        };
+    };
+    const groupA = describeGroup(a, b);
+    const groupB = describeGroup(c, d);
+
+    const corrected = a === 0 || b === 0 || c === 0 || d === 0;
+    const [ca, cb, cc, cd] = corrected ? [a + 0.5, b + 0.5, c + 0.5, d + 0.5] : [a, b, c, d];
+
+    const logOddsRatio = Math.log((ca * cd) / (cb * cc));
+    const logOddsRatioSE = Math.sqrt(1 / ca + 1 / cb + 1 / cc + 1 / cd);
+
+    const logRelativeRisk = Math.log((ca / (ca + cb)) / (cc / (cc + cd)));
+    const logRelativeRiskSE = Math.sqrt(1 / ca - 1 / (ca + cb) + 1 / cc - 1 / (cc + cd));
+
+    const riskDifference = groupA.probability - groupB.probability;
+    const riskDifferenceSE = Math.sqrt(
+        (groupA.probability * (1 - groupA.probability)) / groupA.n +
+        (groupB.probability * (1 - groupB.probability)) / groupB.n
+    );
+
+    return {
+        groupA,
+        groupB,
+        corrected,
+        logOddsRatio: {
+            estimate: logOddsRatio,
+            lower: logOddsRatio - z * logOddsRatioSE,
+            upper: logOddsRatio + z * logOddsRatioSE,
+        },
+        oddsRatio: {
+            estimate: Math.exp(logOddsRatio),
+            lower: Math.exp(logOddsRatio - z * logOddsRatioSE),
+            upper: Math.exp(logOddsRatio + z * logOddsRatioSE),
+        },
+        relativeRisk: {
+            estimate: Math.exp(logRelativeRisk),
+            lower: Math.exp(logRelativeRisk - z * logRelativeRiskSE),
+            upper: Math.exp(logRelativeRisk + z * logRelativeRiskSE),
+        },
+        riskDifference: {
+            estimate: riskDifference,
+            lower: Math.max(-1, riskDifference - z * riskDifferenceSE),
+            upper: Math.min(1, riskDifference + z * riskDifferenceSE),
+        },
+    };
+}
+
+/**
+ * Likelihood ratio of a diagnostic test result
+ * Positive result: LR+ = sensitivity / (1 - specificity)
+ * Negative result: LR- = (1 - sensitivity) / specificity
+ * @param {number} sensitivity - P(positive | condition)
+ * @param {number} specificity - P(negative | no condition)
+ * @param {boolean} positive - Whether the test came back positive
+ * @returns {number} Likelihood ratio
+ */
+function likelihoodRatioFromTest(sensitivity, specificity, positive) {
+    return positive ? sensitivity / (1 - specificity) : (1 - sensitivity) / specificity;
+}
+
+/**
+ * Applies Bayes' rule in odds form for each likelihood ratio in turn:
+ * posterior odds = prior odds × LR, i.e. posterior log-odds = prior log-odds + ln(LR)
+ * @param {number} prior - Prior probability
+ * @param {number[]} likelihoodRatios - One likelihood ratio per piece of evidence
+ * @returns {Array<{logOdds: number, odds: number, probability: number, logLikelihoodRatio: number}>}
+ *   The prior followed by the posterior after each piece of evidence
+ */
+function bayesianUpdateSteps(prior, likelihoodRatios) {
+    let logOdds = probabilityToLogOdds(prior);
+    const steps = [{ logOdds, odds: Math.exp(logOdds), probability: prior, logLikelihoodRatio: 0 }];
+
+    likelihoodRatios.forEach((likelihoodRatio) => {
+        const logLikelihoodRatio = Math.log(likelihoodRatio);
+        logOdds += logLikelihoodRatio;
+        steps.push({
+            logOdds,
+            odds: Math.exp(logOdds),
+            probability: logOddsToProbability(logOdds),
+            logLikelihoodRatio,
+        });
+    });
+    return steps;
+}
+
+/**
+ * Approximates a positive number by a simple fraction (continued fractions)
+ * @param {number} value - Positive number
+ * @param {number} maxDenominator - Largest denominator allowed
+ * @returns {{numerator: number, denominator: number}} Closest fraction found
+ */
+function toSimpleFraction(value, maxDenominator = 100) {
+    let [h0, h1, k0, k1] = [0, 1, 1, 0];
+    let x = value;
+    for (let i = 0; i < 32; i++) {
+        const a = Math.floor(x);
+        const h2 = a * h1 + h0;
+        const k2 = a * k1 + k0;
+        if (k2 > maxDenominator) break;
+        [h0, h1, k0, k1] = [h1, h2, k1, k2];
+        if (Math.abs(x - a) < 1e-12) break;
+        x = 1 / (x - a);
+    }
+    return { numerator: h1, denominator: k1 };
+}
+
+/**
+ * Parses betting odds in any supported format into an implied probability
+ *
+ * Formats:
+ *   fractional - "5/2": profit of 5 per 2 staked, p = 2 / (5 + 2)
+ *   decimal    - "3.50": total return per unit staked, p = 1 / 3.5
+ *   american   - "+250" (profit per 100 staked) or "-150" (stake to win 100)
+ *   against    - "5:2" or "5 to 2": odds against, p = 2 / (5 + 2)
+ *   percentage - "28.6%" (or a bare probability such as "0.286")
+ *
+ * @param {string} text - Odds as typed by the user
+ * @param {string} format - One of the formats above, or 'auto' to detect it
+ * @returns {{probability: number, format: string} | null} Implied probability, or null if unreadable
+ */
+function parseBettingOdds(text, format = 'auto') {
+    const raw = String(text).trim().toLowerCase().replace(/\s+against$/, '');
+    if (raw === '') return null;
+
+    let detected = format;
+    if (format === 'auto') {
+        if (raw.endsWith('%')) detected = 'percentage';
+        else if (/^[+-]/.test(raw)) detected = 'american';
+        else if (raw.includes(':') || raw.includes(' to ')) detected = 'against';
+        else if (raw.includes('/')) detected = 'fractional';
+        else detected = Number(raw) < 1 ? 'percentage' : 'decimal';
+    }
+
+    const ratio = (separator) => {
+        const parts = raw.split(separator).map((part) => Number(part.trim()));
+        return parts.length === 2 && parts[0] >= 0 && parts[1] > 0 ? parts[1] / (parts[0] + parts[1]) : NaN;
+    };
+
+    let probability = NaN;
+    switch (detected) {
+        case 'fractional':
+            probability = ratio('/');
+            break;
+        case 'against':
+            probability = ratio(raw.includes(':') ? ':' : ' to ');
+            break;
+        case 'decimal': {
+            const decimal = Number(raw);
+            probability = decimal >= 1 ? 1 / decimal : NaN;
+            break;
+        }
+        case 'american': {
+            const american = Number(raw);
+            if (american >= 100) probability = 100 / (american + 100);
+            else if (american <= -100) probability = -american / (-american + 100);
+            break;
+        }
+        case 'percentage': {
+            const value = Number(raw.replace('%', ''));
+            probability = raw.endsWith('%') ? value / 100 : value;
+            break;
+        }
+    }
+
+    if (!(probability > 0 && probability <= 1)) return null;
+    return { probability, format: detected };
+}
+
+/**
+ * Expresses a probability in every betting-odds format
+ * @param {number} probability - Implied probability in (0, 1]
+ * @returns {{fractional: string, decimal: number, american: string, against: string, percentage: string, oddsInFavor: number}}
+ */
+function probabilityToBettingOdds(probability) {
+    // Profit per unit staked = odds against = (1 - p) / p
+    const oddsAgainst = (1 - probability) / probability;
+    const decimal = 1 / probability;
+    const fraction = toSimpleFraction(oddsAgainst);
+
+    let american;
+    if (decimal >= 2) {
+        american = `+${Math.round((decimal - 1) * 100)}`;
+    } else if (decimal > 1) {
+        american = `${Math.round(-100 / (decimal - 1))}`;
+    } else {
+        american = '—';
+    }
+
+    return {
+        fractional: `${fraction.numerator}/${fraction.denominator}`,
+        decimal: Math.round(decimal * 100) / 100,
+        american,
+        against: `${fraction.numerator}:${fraction.denominator}`,
+        percentage: `${roundToThreeDecimals(probability * 100)}%`,
+        oddsInFavor: probabilityToOdds(probability),
+    };
+}
+
+/**
+ * Removes the bookmaker's margin (overround, or "vig") from a set of prices
+ * by scaling the implied probabilities so they sum to 1
+ * @param {number[]} impliedProbabilities - Implied probability of each outcome
+ * @returns {{booksum: number, overround: number, fair: number[]}} Sum of implied
+ *   probabilities, margin (booksum - 1) and the normalized fair probabilities
+ */
+function removeOverround(impliedProbabilities) {
+    const booksum = impliedProbabilities.reduce((total, probability) => total + probability, 0);
+    return {
+        booksum,
+        overround: booksum - 1,
+        fair: impliedProbabilities.map((probability) => probability / booksum),
+    };
+}
+
+/**
+ * Parses "x, y" lines (comma, tab or space separated) where y is 0 or 1
+ * @param {string} text - Raw textarea contents
+ * @returns {{xs: number[], ys: number[], error: string}} Parsed data or an error message
+ */
+function parseRegressionData(text) {
+    const xs = [];
+    const ys = [];
+    const lines = String(text).split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '' || line.startsWith('#')) continue;
+
+        const parts = line.split(/[\s,;]+/);
+        const x = Number(parts[0]);
+        const y = Number(parts[1]);
+        if (parts.length !== 2 || !isFinite(x) || (y !== 0 && y !== 1)) {
+            return { xs, ys, error: `Line ${i + 1}: expected "x, y" with y equal to 0 or 1.` };
+        }
+        xs.push(x);
+        ys.push(y);
+    }
+
+    if (xs.length < 2) return { xs, ys, error: 'Enter at least two data points.' };
+    if (!ys.includes(0) || !ys.includes(1)) {
+        return { xs, ys, error: 'The data need at least one y = 0 and one y = 1.' };
+    }
+    return { xs, ys, error: '' };
+}
+
+/**
+ * Log-likelihood of a logistic model with the given coefficients
+ */
+function logisticLogLikelihood(xs, ys, intercept, slope) {
+    let total = 0;
+    for (let i = 0; i < xs.length; i++) {
+        const p = logOddsToProbability(intercept + slope * xs[i]);
+        // Clamp so perfectly fitted points do not produce log(0)
+        const clamped = Math.min(Math.max(p, 1e-15), 1 - 1e-15);
+        total += ys[i] === 1 ? Math.log(clamped) : Math.log(1 - clamped);
+    }
+    return total;
+}
+
+/**
+ * Fits P(y = 1 | x) = logOddsToProbability(b0 + b1·x) by iteratively
+ * reweighted least squares (Newton–Raphson on the log-likelihood)
+ * @param {number[]} xs - Predictor values
+ * @param {number[]} ys - Outcomes (0 or 1)
+ * @param {number} maxIterations - Iteration limit
+ * @returns {{intercept: number, slope: number, iterations: number, converged: boolean, separated: boolean, logLikelihood: number}}
+ */
+function fitLogisticRegression(xs, ys, maxIterations = 100) {
+    let intercept = 0;
+    let slope = 0;
+    let logLikelihood = logisticLogLikelihood(xs, ys, intercept, slope);
+    let converged = false;
+    let iterations = 0;
+
+    while (iterations < maxIterations && !converged) {
+        iterations++;
+
+        // Gradient and (negative) Hessian of the log-likelihood
+        let g0 = 0, g1 = 0, h00 = 0, h01 = 0, h11 = 0;
+        for (let i = 0; i < xs.length; i++) {
+            const p = logOddsToProbability(intercept + slope * xs[i]);
+            const w = p * (1 - p);
+            g0 += ys[i] - p;
+            g1 += (ys[i] - p) * xs[i];
+            h00 += w;
+            h01 += w * xs[i];
+            h11 += w * xs[i] * xs[i];
+        }
+
+        const det = h00 * h11 - h01 * h01;
+        if (!(Math.abs(det) > 1e-12)) break;
+        const step0 = (h11 * g0 - h01 * g1) / det;
+        const step1 = (h00 * g1 - h01 * g0) / det;
+
+        // Halve the step until the log-likelihood does not decrease
+        let scale = 1;
+        let candidate = logisticLogLikelihood(xs, ys, intercept + step0, slope + step1);
+        while (candidate < logLikelihood && scale > 1e-4) {
+            scale /= 2;
+            candidate = logisticLogLikelihood(xs, ys, intercept + scale * step0, slope + scale * step1);
+        }
+
+        intercept += scale * step0;
+        slope += scale * step1;
+        converged = Math.abs(candidate - logLikelihood) < 1e-10 && Math.abs(scale * step1) < 1e-8;
+        logLikelihood = candidate;
+    }
+
+    // With one predictor the maximum-likelihood slope is infinite exactly when
+    // a threshold on x splits the classes (perfect or quasi-complete separation)
+    const zeros = xs.filter((x, i) => ys[i] === 0);
+    const ones = xs.filter((x, i) => ys[i] === 1);
+    const separated = Math.max(...zeros) <= Math.min(...ones) || Math.max(...ones) <= Math.min(...zeros);
+
+    return { intercept, slope, iterations, converged, separated, logLikelihood };
+}
+
+export {
+    roundToThreeDecimals,
+    probabilityToOdds,
+    probabilityToLogOdds,
+    logOddsToProbability,
+    log1pExp,
+    logOddsToLogProbability,
+    logProbabilityToLogOdds,
+    oddsToProbability,
+    oddsToLogOdds,
+    logOddsToOdds,
+    vectorize,
+    probabilitiesToOdds,
+    probabilitiesToLogOdds,
+    oddsToProbabilities,
+    logOddsToProbabilities,
+    probabilityGrid,
+    createProbabilityStore,
+    wilsonInterval,
+    logGamma,
+    binomialPmf,
+    normalPdf,
+    regularizedGammaQ,
+    chiSquarePValue,
+    parseFractionOrNumber,
+    twoByTwoMeasures,
+    likelihoodRatioFromTest,
+    bayesianUpdateSteps,
+    toSimpleFraction,
+    parseBettingOdds,
+    probabilityToBettingOdds,
+    removeOverround,
+    parseRegressionData,
+    logisticLogLikelihood,
+    fitLogisticRegression,
+};
@@ -0,0 +1,1042 @@
+// ============================================
+// QUESTION-GENERATOR.JS - Seeded practice questions and grading
+// DOM-free ES module: question types return HTML strings, but nothing
+// here touches the document, so generation and grading run in Node too
+// ============================================
+
+import {
+    roundToThreeDecimals,
+    probabilityToOdds,
+    probabilityToLogOdds,
+    logOddsToProbability,
+    parseFractionOrNumber,
+    probabilityToBettingOdds,
+} from './probability-core.js';
+
+const QUESTION_SET_FORMAT = 'probability-visualizer/question-set';
+
+/**
+ * Escapes text for insertion into HTML markup
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class ConceptualQuestionGenerator {
+    /**
+     * Registered question types, keyed by id.
+     *
+     * A question type is a self-contained object:
+     *   id                              - unique key, e.g. 'logit-conversion'
+     *   label                           - readable name used in progress tracking
+     *   generate({ random, difficulty }) - returns { text, answer, formula, steps?, data? } for one
+     *                                     question, where steps is the worked solution one step
+     *                                     per string; draw randomness only from `random`, and treat
+     *                                     difficulty as 0 = easy, 1 = standard, 2 = hard
+     *   renderInput(question)            - HTML for the answer control(s); base element ids on question.inputId
+     *   readAnswer(question, element)    - raw answer from the rendered `.question-item` element
+     *   grade(userRaw, answer, question) - true/false, or { score, feedback } where score is 0 to 1
+     *                                     (partial credit) and feedback explains a recognized mistake
+     *   explain(generated)               - explanation shown in the answer key
+     *   printAnswerArea(question)        - optional; HTML for the answer space on a printed
+     *                                     worksheet (a blank answer line when omitted)
+     *   validateData(data, answer)       - optional; checks the data of an imported question and
+     *                                     returns an error message when renderInput or grade could
+     *                                     not use it ('' when it is fine)
+     *
+     * numericQuestionType() and trueFalseQuestionType() fill in the input,
+     * grading and explanation parts for the common formats. Numeric types can
+     * list known wrong answers in data.misconceptions ([{ value, feedback }]).
+     */
+    static registry = new Map();
+
+    /**
+     * Adds a question type (or replaces one with the same id). New types are
+     * used by every generator from its next generate() call.
+     * @param {Object} definition - Question type (see registry)
+     */
+    static registerQuestionType(definition) {
+        const required = ['id', 'generate', 'renderInput', 'readAnswer', 'grade', 'explain'];
+        const missing = required.filter((key) => !definition || !definition[key]);
+        if (missing.length > 0) {
+            throw new Error(`Question type is missing: ${missing.join(', ')}`);
+        }
+        ConceptualQuestionGenerator.registry.set(definition.id, definition);
+    }
+
+    /**
+     * Removes a question type
+     * @param {string} id - Question type id
+     */
+    static unregisterQuestionType(id) {
+        ConceptualQuestionGenerator.registry.delete(id);
+    }
+
+    /**
+     * Looks up a registered question type
+     * @param {string} id - Question type id
+     * @returns {Object|undefined} Question type definition
+     */
+    static getQuestionType(id) {
+        return ConceptualQuestionGenerator.registry.get(id);
+    }
+
+    /**
+     * @param {number} questionCount - Number of questions per set
+     * @param {function(): number} random - Random source (Math.random or a seeded generator)
+     */
+    constructor(questionCount = 5, random = Math.random) {
+        this.questionCount = questionCount;
+        this.random = random;
+        this.questions = [];
+        this.answers = [];
+        this.hintsUsed = []; // solution steps revealed so far, per question
+        this.enabledTypes = null; // null = every registered type
+    }
+
+    /**
+     * Question types this generator draws from: every registered type unless
+     * restricted by assigning a list of ids
+     */
+    get questionTypes() {
+        const registered = Array.from(ConceptualQuestionGenerator.registry.keys());
+        return this.enabledTypes ? this.enabledTypes.filter((id) => registered.includes(id)) : registered;
+    }
+
+    set questionTypes(types) {
+        this.enabledTypes = types ? Array.from(types) : null;
+    }
+
+    /**
+     * Replaces the random source, e.g. with a freshly seeded generator
+     * @param {function(): number} random - Random source
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
+    /**
+     * Generates random conceptual practice questions
+     * @param {Object} options - Optional adaptive settings
+     * @param {Object<string, number>} options.typeWeights - Relative weight per question type; when
+     *   given, types are drawn by weight instead of rotating through questionTypes
+     * @param {Object<string, number>} options.difficulty - Difficulty per question type
+     *   (0 = easy, 1 = standard, 2 = hard); types not listed use 1
+     */
+    generate(options = {}) {
+        const { typeWeights = null, difficulty = {} } = options;
+        const questionTypes = this.questionTypes;
+        this.questions = [];
+        this.answers = [];
+        this.hintsUsed = [];
+        if (questionTypes.length === 0) return;
+
+        // Rotate the starting type so every type appears even when there are
+        // more types than questions
+        const offset = typeWeights ? 0 : Math.floor(this.random() * questionTypes.length);
+
+        for (let i = 0; i < this.questionCount; i++) {
+            const questionType = typeWeights
+                ? this.pickWeightedType(typeWeights)
+                : questionTypes[(offset + i) % questionTypes.length];
+            this.addQuestion(questionType, difficulty[questionType] ?? 1);
+        }
+    }
+
+    /**
+     * Generates one question of the given type and appends it with its answer
+     * @param {string} questionType - Registered question type id
+     * @param {number} difficulty - 0 = easy, 1 = standard, 2 = hard
+     */
+    addQuestion(questionType, difficulty = 1) {
+        const definition = ConceptualQuestionGenerator.getQuestionType(questionType);
+        const generated = definition.generate({ random: this.random, difficulty });
+
+        this.questions.push({
+            type: questionType,
+            text: generated.text,
+            inputId: `question-${this.questions.length}`,
+            data: generated.data,
+        });
+
+        const formula = definition.explain(generated);
+        this.answers.push({
+            question: generated.text,
+            answer: generated.answer,
+            formula,
+            steps: generated.steps && generated.steps.length > 0 ? generated.steps : [formula],
+        });
+        this.hintsUsed.push(0);
+    }
+
+    /**
+     * The current question set as plain data for saving to JSON
+     * @param {string|null} seed - Seed the set was generated from, if any
+     * @returns {Object} Question set (see importQuestionSet)
+     */
+    exportQuestionSet(seed = null) {
+        return {
+            format: QUESTION_SET_FORMAT,
+            version: 1,
+            seed,
+            exportedAt: new Date().toISOString(),
+            questions: this.questions.map((question, index) => ({
+                type: question.type,
+                text: question.text,
+                answer: this.answers[index].answer,
+                formula: this.answers[index].formula,
+                steps: this.answers[index].steps,
+                data: question.data,
+            })),
+        };
+    }
+
+    /**
+     * Replaces the current question set with one saved by exportQuestionSet
+     * @param {Object} questionSet - Parsed question set
+     * @throws {Error} When the set is not a valid question set
+     */
+    importQuestionSet(questionSet) {
+        if (!questionSet || questionSet.format !== QUESTION_SET_FORMAT) {
+            throw new Error('This file is not an exported question set.');
+        }
+        if (!Array.isArray(questionSet.questions) || questionSet.questions.length === 0) {
+            throw new Error('The question set has no questions.');
+        }
+        questionSet.questions.forEach((question, index) => {
+            if (!question || !ConceptualQuestionGenerator.getQuestionType(question.type)) {
+                throw new Error(`Question ${index + 1} has an unknown type "${question && question.type}".`);
+            }
+            if (typeof question.text !== 'string' || question.answer === undefined) {
+                throw new Error(`Question ${index + 1} is missing its text or answer.`);
+            }
+            const { validateData } = ConceptualQuestionGenerator.getQuestionType(question.type);
+            const dataError = validateData ? validateData(question.data, question.answer) : '';
+            if (dataError) {
+                throw new Error(`Question ${index + 1} has invalid data: ${dataError}`);
+            }
+        });
+
+        this.questions = questionSet.questions.map((question, index) => ({
+            type: question.type,
+            text: question.text,
+            inputId: `question-${index}`,
+            data: question.data,
+        }));
+        this.answers = questionSet.questions.map((question) => {
+            const formula = String(question.formula || '');
+            return {
+                question: question.text,
+                answer: question.answer,
+                formula,
+                steps: Array.isArray(question.steps) && question.steps.length > 0 ? question.steps.map(String) : [formula],
+            };
+        });
+        this.hintsUsed = this.questions.map(() => 0);
+    }
+
+    /**
+     * Reveals the next solution step of a question
+     * @param {number} index - Question index
+     * @returns {string|null} The step, or null when every step is already shown
+     */
+    revealHint(index) {
+        const steps = this.answers[index].steps;
+        if (this.hintsUsed[index] >= steps.length) return null;
+        this.hintsUsed[index] += 1;
+        return steps[this.hintsUsed[index] - 1];
+    }
+
+    /**
+     * Hides every revealed hint again so the same set can be attempted afresh
+     */
+    resetHints() {
+        this.hintsUsed = this.questions.map(() => 0);
+    }
+
+    /**
+     * Draws a question type with probability proportional to its weight
+     * @param {Object<string, number>} typeWeights - Relative weight per question type
+     * @returns {string} Question type
+     */
+    pickWeightedType(typeWeights) {
+        const questionTypes = this.questionTypes;
+        const total = questionTypes.reduce((sum, type) => sum + (typeWeights[type] || 0), 0);
+        let threshold = this.random() * total;
+        for (const type of questionTypes) {
+            threshold -= typeWeights[type] || 0;
+            if (threshold < 0) return type;
+        }
+        return questionTypes[questionTypes.length - 1];
+    }
+
+
+}
+
+/**
+ * Draws a probability for a question at the given difficulty:
+ * 0 = 0.2 to 0.8, 1 = the standard range, 2 = within 0.1 of 0 or 1
+ * @param {function(): number} random - Random source
+ */
+function randomProbability(random, difficulty, standardMin, standardMax) {
+    if (difficulty <= 0) return roundToThreeDecimals(random() * 0.6 + 0.2);
+    if (difficulty >= 2) {
+        const tail = random() * 0.09 + 0.01; // 0.01 to 0.1
+        return roundToThreeDecimals(random() < 0.5 ? tail : 1 - tail);
+    }
+    return roundToThreeDecimals(random() * (standardMax - standardMin) + standardMin);
+}
+
+// A numeric answer is correct within either tolerance of the key
+const ANSWER_ABSOLUTE_TOLERANCE = 0.001;
+const ANSWER_RELATIVE_TOLERANCE = 0.005;
+
+// Further out, up to either of these, it is treated as a rounding slip
+const PARTIAL_CREDIT_ABSOLUTE_TOLERANCE = 0.02;
+const PARTIAL_CREDIT_RELATIVE_TOLERANCE = 0.05;
+const PARTIAL_CREDIT_SCORE = 0.5;
+
+/**
+ * Reads a typed numeric answer. Besides plain numbers this accepts
+ * fractions ("3/7"), percentages ("42.9%"), scientific notation ("1.5e-3",
+ * "1.5×10^-3") and powers of e ("e^0.4", "e^(-1.2)", "exp(2)").
+ * @param {string} text - Answer as typed
+ * @returns {number} Value, or NaN when it cannot be read
+ */
+function parseAnswerValue(text) {
+    const normalized = String(text).trim().toLowerCase()
+        .replace(/\s+/g, '')
+        .replace(/[−–]/g, '-')
+        .replace(/[×·]/g, '*');
+    if (normalized === '') return NaN;
+
+    const percent = normalized.match(/^(.+)%$/);
+    if (percent) return parseAnswerValue(percent[1]) / 100;
+
+    const power = normalized.match(/^([-+]?)(?:e\^|exp)\(?([^()]+)\)?$/);
+    if (power) {
+        const exponent = parseAnswerValue(power[2]);
+        return (power[1] === '-' ? -1 : 1) * Math.exp(exponent);
+    }
+
+    const tenPower = normalized.match(/^([-+]?\d*\.?\d+)[*x]10\^\(?([-+]?\d+)\)?$/);
+    if (tenPower) return parseFloat(tenPower[1]) * 10 ** Number(tenPower[2]);
+
+    return parseFractionOrNumber(normalized);
+}
+
+/**
+ * Whether a value is within the given absolute or relative distance of a target
+ */
+function isWithinTolerance(value, target, absolute, relative) {
+    return Math.abs(value - target) <= Math.max(absolute, relative * Math.abs(target));
+}
+
+/**
+ * Grades a numeric answer. Values within tolerance of the key are correct;
+ * a value matching a known misconception gets that misconception's
+ * feedback; a value only slightly off earns partial credit as a rounding slip.
+ * @param {string} userRaw - Answer as typed
+ * @param {number|string} expected - Answer key (a number or a fraction such as "3/7")
+ * @param {Array<{value: number, feedback: string}>} misconceptions - Known wrong answers
+ * @returns {{score: number, feedback: string}} Grade
+ */
+function gradeNumericAnswer(userRaw, expected, misconceptions = []) {
+    const expectedNum = parseAnswerValue(expected);
+    const userNum = parseAnswerValue(userRaw);
+    if (!isFinite(userNum)) {
+        return { score: 0, feedback: String(userRaw).trim() === '' ? '' : 'That could not be read as a number.' };
+    }
+    if (isWithinTolerance(userNum, expectedNum, ANSWER_ABSOLUTE_TOLERANCE, ANSWER_RELATIVE_TOLERANCE)) {
+        return { score: 1, feedback: '' };
+    }
+
+    const misconception = misconceptions.find(({ value }) =>
+        isWithinTolerance(userNum, value, ANSWER_ABSOLUTE_TOLERANCE, ANSWER_RELATIVE_TOLERANCE)
+    );
+    if (misconception) return { score: 0, feedback: misconception.feedback };
+
+    if (isWithinTolerance(userNum, expectedNum, PARTIAL_CREDIT_ABSOLUTE_TOLERANCE, PARTIAL_CREDIT_RELATIVE_TOLERANCE)) {
+        return {
+            score: PARTIAL_CREDIT_SCORE,
+            feedback: 'Right method, but the value is slightly off. Keep full precision in intermediate steps and round only at the end.',
+        };
+    }
+    return { score: 0, feedback: '' };
+}
+
+/**
+ * Grades a textual or boolean answer: case-insensitive exact match
+ */
+function gradeTextAnswer(userRaw, expected) {
+    const userStr = String(userRaw).trim().toLowerCase();
+    return userStr.length > 0 && userStr === String(expected).trim().toLowerCase();
+}
+
+/**
+ * Brings a question type's grade() result into one shape
+ * @param {boolean|{score: number, feedback: string}} result - Result of grade()
+ * @returns {{score: number, correct: boolean, feedback: string}} Grade
+ */
+function normalizeGrade(result) {
+    if (typeof result === 'boolean') return { score: result ? 1 : 0, correct: result, feedback: '' };
+    const score = Math.min(Math.max(Number(result.score) || 0, 0), 1);
+    return { score, correct: score === 1, feedback: result.feedback || '' };
+}
+
+/**
+ * HTML for a single-line text answer box
+ * @param {Object} question - Rendered question
+ * @param {string} placeholder - Placeholder text
+ */
+function textAnswerInput(question, placeholder) {
+    return `
+        <input 
+            type="text" 
+            id="${question.inputId}" 
+            class="question-input" 
+            placeholder="${placeholder}"
+        >
+    `;
+}
+
+/**
+ * Reads the value typed into a question's text answer box
+ */
+function readTextAnswer(question, element) {
+    const inputEl = element.querySelector(`#${question.inputId}`);
+    return inputEl ? inputEl.value.trim() : '';
+}
+
+/**
+ * Completes a question type answered by typing a number into a text box
+ * @param {Object} definition - At least id, label and generate
+ * @returns {Object} Full question type definition
+ */
+function numericQuestionType(definition) {
+    return {
+        renderInput: (question) => textAnswerInput(question, 'Enter answer (e.g. 0.429 or 3/7)'),
+        readAnswer: readTextAnswer,
+        grade: (userRaw, answer, question) =>
+            gradeNumericAnswer(userRaw, answer.answer, (question.data && question.data.misconceptions) || []),
+        explain: (generated) => generated.formula,
+        validateData: (data) => {
+            const misconceptions = data && data.misconceptions;
+            if (misconceptions === undefined) return '';
+            return Array.isArray(misconceptions) && misconceptions.every((entry) => entry && isFinite(entry.value))
+                ? ''
+                : 'misconceptions must be a list of { value, feedback }.';
+        },
+        ...definition,
+    };
+}
+
+/**
+ * Completes a True/False question type answered with radio buttons
+ * @param {Object} definition - At least id, label and generate
+ * @returns {Object} Full question type definition
+ */
+function trueFalseQuestionType(definition) {
+    return {
+        renderInput: (question) => `
+            <div class="question-input boolean-input">
+                <label style="margin-right:12px;"><input type="radio" name="${question.inputId}-tf" value="True"> True</label>
+                <label><input type="radio" name="${question.inputId}-tf" value="False"> False</label>
+            </div>
+        `,
+        readAnswer: (question, element) => {
+            const sel = element.querySelector(`input[name="${question.inputId}-tf"]:checked`);
+            return sel ? sel.value : '';
+        },
+        grade: (userRaw, answer) => gradeTextAnswer(userRaw, answer.answer),
+        explain: (generated) => generated.formula,
+        printAnswerArea: () => '<div class="print-choices">True &nbsp;/&nbsp; False</div>',
+        ...definition,
+    };
+}
+
+/**
+ * Completes a multiple-choice question type. generate() must return the
+ * options in data.options, one of which equals the answer, and may explain
+ * wrong options in data.distractors ([[option, the mistake that produces it]]).
+ * @param {Object} definition - At least id, label and generate
+ * @returns {Object} Full question type definition
+ */
+function multipleChoiceQuestionType(definition) {
+    return {
+        renderInput: (question) => `
+            <div class="question-input choice-input">
+                ${question.data.options.map((option) => `
+                    <label><input type="radio" name="${question.inputId}-mc" value="${escapeHtml(option)}"> ${escapeHtml(option)}</label>
+                `).join('')}
+            </div>
+        `,
+        readAnswer: (question, element) => {
+            const sel = element.querySelector(`input[name="${question.inputId}-mc"]:checked`);
+            return sel ? sel.value : '';
+        },
+        grade: (userRaw, answer, question) => {
+            if (String(userRaw) === String(answer.answer)) return true;
+            const distractor = (question.data.distractors || []).find(([value]) => value === String(userRaw));
+            return { score: 0, feedback: distractor ? describeDistractors([distractor], [distractor[0]]) : '' };
+        },
+        explain: (generated) => generated.formula,
+        printAnswerArea: (question) => `
+            <ol class="print-choices" type="a">
+                ${question.data.options.map((option) => `<li>${escapeHtml(option)}</li>`).join('')}
+            </ol>
+        `,
+        validateData: (data, answer) => {
+            if (!data || !Array.isArray(data.options) || !data.options.every((option) => typeof option === 'string')) {
+                return 'options must be a list of strings.';
+            }
+            if (!data.options.includes(String(answer))) return 'the answer is not one of the options.';
+            if (data.distractors !== undefined &&
+                !(Array.isArray(data.distractors) && data.distractors.every((entry) => Array.isArray(entry)))) {
+                return 'distractors must be a list of [option, reason] pairs.';
+            }
+            return '';
+        },
+        ...definition,
+    };
+}
+
+/**
+ * Builds shuffled multiple-choice options from the correct answer and
+ * distractors, dropping distractors that display the same as another option
+ * @param {string} correct - Correct option
+ * @param {string[]} distractors - Wrong options, most plausible first
+ * @param {function(): number} random - Random source
+ * @param {number} count - Maximum number of options
+ * @returns {string[]} Options
+ */
+function buildChoiceOptions(correct, distractors, random, count = 4) {
+    const options = [correct];
+    distractors.forEach((option) => {
+        if (options.length < count && !options.includes(option)) options.push(option);
+    });
+    return shuffleWithRandom(options, random);
+}
+
+/**
+ * Drops slips that show the same value as the answer or as an earlier slip,
+ * so no option is explained as a mistake when it is correct
+ * @param {string} correct - Correct option
+ * @param {Array<[string, string]>} slips - [option, the mistake that produces it]
+ * @returns {Array<[string, string]>} Slips with distinct, wrong values
+ */
+function distinctSlips(correct, slips) {
+    const seen = new Set([correct]);
+    return slips.filter(([value]) => {
+        if (seen.has(value)) return false;
+        seen.add(value);
+        return true;
+    });
+}
+
+/**
+ * Explains the distractors that made it into the options
+ * @param {Array<[string, string]>} distractors - [option, the mistake that produces it]
+ * @param {string[]} options - Options shown to the student
+ * @returns {string} One sentence per distractor
+ */
+function describeDistractors(distractors, options) {
+    return distractors
+        .filter(([value]) => options.includes(value))
+        .map(([value, reason]) => `${value} is ${reason}.`)
+        .join(' ');
+}
+
+/**
+ * Shuffles a copy of an array (Fisher–Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {function(): number} random - Random source
+ * @returns {Array} Shuffled copy
+ */
+function shuffleWithRandom(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Greatest common divisor of two non-negative integers
+ */
+function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+// Built-in question types
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'logit-conversion',
+    label: 'Probability → log-odds',
+    generate({ random, difficulty }) {
+        const probability = randomProbability(random, difficulty, 0.1, 0.9);
+        const logOdds = probabilityToLogOdds(probability);
+        const roundedLogOdds = roundToThreeDecimals(logOdds);
+        const odds = probability / (1 - probability);
+        return {
+            text: `If probability = ${probability}, what is the log-odds (logit)?`,
+            answer: roundedLogOdds,
+            formula: `log-odds = ln(${probability} / (1 - ${probability})) = ln(${roundToThreeDecimals(probability / (1 - probability))}) = ${roundedLogOdds}`,
+            steps: [
+                `Find the odds: ${probability} / (1 - ${probability}) = ${probability} / ${roundToThreeDecimals(1 - probability)} = ${roundToThreeDecimals(odds)}`,
+                `Take the natural log of the odds: ln(${roundToThreeDecimals(odds)}) = ${roundedLogOdds}`,
+            ],
+            data: {
+                misconceptions: [
+                    { value: odds, feedback: 'That is the odds p/(1-p). Take the natural log of the odds to get log-odds.' },
+                    { value: Math.log10(odds), feedback: 'That uses log base 10. Log-odds use the natural log (ln).' },
+                    { value: -logOdds, feedback: 'That is the log of the odds against, (1-p)/p, so the sign is flipped.' },
+                    { value: Math.log(probability), feedback: 'That is ln(p). Log-odds take the log of the odds p/(1-p), not of the probability.' },
+                ],
+            },
+        };
+    },
+}));
+
+ConceptualQuestionGenerator.registerQuestionType(trueFalseQuestionType({
+    id: 'odds-growth',
+    label: 'Odds growth (True/False)',
+    generate() {
+        return {
+            text: 'True or False: Odds grow much faster than probability as p approaches 1.',
+            answer: 'True',
+            formula: 'Odds = p/(1-p). As p→1, the denominator (1-p)→0, causing odds→∞. Probability stays bounded at 1.',
+            steps: [
+                'Write odds in terms of probability: odds = p/(1-p).',
+                'Try values near 1: p = 0.9 gives odds 9, p = 0.99 gives 99, p = 0.999 gives 999.',
+                'As p→1 the denominator (1-p)→0, so odds→∞ while probability never passes 1. The statement is True.',
+            ],
+        };
+    },
+}));
+
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'logit-interpretation',
+    label: 'Log-odds → probability (inverse logit)',
+    generate({ random, difficulty }) {
+        let logOdds;
+        if (difficulty <= 0) {
+            logOdds = roundToThreeDecimals((random() - 0.5) * 2); // -1 to 1
+        } else if (difficulty >= 2) {
+            const magnitude = random() * 3 + 2; // 2 to 5 either side
+            logOdds = roundToThreeDecimals(random() < 0.5 ? -magnitude : magnitude);
+        } else {
+            logOdds = roundToThreeDecimals((random() - 0.5) * 4); // -2 to 2
+        }
+        const probability = logOddsToProbability(logOdds);
+        const roundedProb = roundToThreeDecimals(probability);
+        return {
+            text: `If log-odds = ${logOdds}, what is the probability?`,
+            answer: roundedProb,
+            data: {
+                misconceptions: [
+                    { value: Math.exp(logOdds), feedback: 'That is e^x, which is the odds. Divide by 1 + e^x to get a probability.' },
+                    { value: 1 - probability, feedback: 'That is 1 - p, the probability of the event not happening. Check the sign of the exponent.' },
+                ],
+            },
+            formula: `p = e^${logOdds} / (1 + e^${logOdds}) = ${roundToThreeDecimals(Math.exp(logOdds))} / ${roundToThreeDecimals(1 + Math.exp(logOdds))} = ${roundedProb}`,
+            steps: [
+                `Undo the log to get the odds: e^${logOdds} = ${roundToThreeDecimals(Math.exp(logOdds))}`,
+                `Turn odds into a probability: odds / (1 + odds) = ${roundToThreeDecimals(Math.exp(logOdds))} / ${roundToThreeDecimals(1 + Math.exp(logOdds))} = ${roundedProb}`,
+            ],
+        };
+    },
+}));
+
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'probability-conversion',
+    label: 'Probability → odds',
+    generate({ random, difficulty }) {
+        const probability = randomProbability(random, difficulty, 0.15, 0.85);
+        const odds = probabilityToOdds(probability);
+        const roundedOdds = roundToThreeDecimals(odds);
+        return {
+            text: `Convert probability = ${probability} to odds.`,
+            answer: roundedOdds,
+            data: {
+                misconceptions: [
+                    { value: 1 / odds, feedback: 'That is 1/odds, the odds against. Odds in favour put p on top: p/(1-p).' },
+                    { value: 1 - probability, feedback: 'That is 1 - p, the probability of the event not happening, not the odds.' },
+                ],
+            },
+            formula: `odds = ${probability} / (1 - ${probability}) = ${probability} / ${roundToThreeDecimals(1 - probability)} = ${roundedOdds}`,
+            steps: [
+                `Probability it does not happen: 1 - ${probability} = ${roundToThreeDecimals(1 - probability)}`,
+                `Divide happens by does not happen: ${probability} / ${roundToThreeDecimals(1 - probability)} = ${roundedOdds}`,
+            ],
+        };
+    },
+}));
+
+ConceptualQuestionGenerator.registerQuestionType(trueFalseQuestionType({
+    id: 'compare-metrics',
+    label: 'Comparing metrics (True/False)',
+    generate() {
+        return {
+            text: 'True or False: A positive log-odds (logit > 0) indicates the event is more likely than not.',
+            answer: 'True',
+            formula: 'log-odds = ln(p/(1-p)) > 0 implies p > 0.5, so the event is more likely than not.',
+            steps: [
+                'ln(x) > 0 exactly when x > 1, so log-odds > 0 means odds p/(1-p) > 1.',
+                'p/(1-p) > 1 means p > 1 - p, that is p > 0.5.',
+                'p > 0.5 means the event is more likely than not. The statement is True.',
+            ],
+        };
+    },
+}));
+
+// Read the implied probability from fractional, decimal or American odds,
+// or turn a probability into decimal odds
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'betting-odds',
+    label: 'Betting odds formats',
+    generate({ random, difficulty }) {
+        const fractionsByDifficulty = [
+            [[1, 1], [2, 1], [3, 1], [4, 1], [1, 2]],
+            [[1, 2], [4, 5], [1, 1], [6, 4], [7, 4], [2, 1], [5, 2], [3, 1], [4, 1], [9, 2]],
+            [[2, 7], [4, 9], [8, 13], [6, 5], [13, 8], [11, 4], [15, 2], [25, 1]],
+        ];
+        const fractions = fractionsByDifficulty[Math.min(Math.max(difficulty, 0), 2)];
+        const [against, stake] = fractions[Math.floor(random() * fractions.length)];
+        const probability = stake / (against + stake);
+        const formats = probabilityToBettingOdds(probability);
+        const variant = Math.floor(random() * 4);
+
+        if (variant === 0) {
+            const answer = roundToThreeDecimals(probability);
+            return {
+                text: `What implied probability do fractional odds of ${against}/${stake} represent?`,
+                answer,
+                data: {
+                    misconceptions: [
+                        { value: against / (against + stake), feedback: `That reads ${against}/${stake} as odds in favour. Fractional odds are odds against: the stake goes on top.` },
+                    ],
+                },
+                formula: `Fractional ${against}/${stake} means win ${against} for every ${stake} staked, so p = ${stake} / (${against} + ${stake}) = ${answer}`,
+                steps: [
+                    `Fractional odds are odds against: ${against}/${stake} means a ${stake}-unit stake wins ${against}.`,
+                    `The stake is the share for the event: p = ${stake} / (${against} + ${stake}) = ${answer}`,
+                ],
+            };
+        }
+        if (variant === 1) {
+            const answer = roundToThreeDecimals(1 / formats.decimal);
+            return {
+                text: `What implied probability do decimal odds of ${formats.decimal} represent?`,
+                answer,
+                data: {
+                    misconceptions: [
+                        { value: 1 - 1 / formats.decimal, feedback: 'That is the implied probability of losing. The chance of winning is 1 / decimal odds.' },
+                    ],
+                },
+                formula: `Decimal odds are the total return per unit staked, so p = 1 / ${formats.decimal} = ${answer}`,
+                steps: [
+                    `Decimal odds of ${formats.decimal} return ${formats.decimal} in total (stake included) for each unit staked.`,
+                    `A fair bet returns 1/p, so p = 1 / ${formats.decimal} = ${answer}`,
+                ],
+            };
+        }
+        if (variant === 2) {
+            const american = Number(formats.american);
+            const answer = roundToThreeDecimals(american > 0 ? 100 / (american + 100) : -american / (-american + 100));
+            const otherSign = american > 0 ? american / (american + 100) : 100 / (-american + 100);
+            return {
+                text: `What implied probability does an American moneyline of ${formats.american} represent?`,
+                answer,
+                data: {
+                    misconceptions: [
+                        { value: otherSign, feedback: `That uses the formula for a ${american > 0 ? 'negative' : 'positive'} moneyline. The sign decides which one applies.` },
+                    ],
+                },
+                formula: american > 0
+                    ? `A positive line is the profit on a 100 stake, so p = 100 / (${american} + 100) = ${answer}`
+                    : `A negative line is the stake needed to win 100, so p = ${-american} / (${-american} + 100) = ${answer}`,
+                steps: american > 0
+                    ? [
+                        `A positive line of ${formats.american} is the profit on a 100 stake: stake 100, win ${american}.`,
+                        `p = stake / (stake + profit) = 100 / (100 + ${american}) = ${answer}`,
+                    ]
+                    : [
+                        `A negative line of ${formats.american} is the stake needed to win 100: stake ${-american}, win 100.`,
+                        `p = stake / (stake + profit) = ${-american} / (${-american} + 100) = ${answer}`,
+                    ],
+            };
+        }
+        const rounded = roundToThreeDecimals(probability);
+        const answer = roundToThreeDecimals(1 / rounded);
+        return {
+            text: `Convert probability = ${rounded} to decimal (European) odds.`,
+            answer,
+            data: {
+                misconceptions: [
+                    { value: (1 - rounded) / rounded, feedback: 'That is the fractional (profit-only) odds. Decimal odds also return the stake, so add 1.' },
+                    { value: rounded / (1 - rounded), feedback: 'That is the odds in favour, p/(1-p). Decimal odds are 1/p.' },
+                ],
+            },
+            formula: `decimal odds = 1 / p = 1 / ${rounded} = ${answer}`,
+            steps: [
+                'Decimal odds are the total return per unit staked on a fair bet, which is 1/p.',
+                `1 / ${rounded} = ${answer}`,
+            ],
+        };
+    },
+}));
+
+// Multiple choice: distractors are the usual slips when computing log-odds
+ConceptualQuestionGenerator.registerQuestionType(multipleChoiceQuestionType({
+    id: 'logit-choice',
+    label: 'Log-odds (multiple choice)',
+    generate({ random, difficulty }) {
+        let probability = randomProbability(random, difficulty, 0.1, 0.9);
+        if (probability === 0.5) probability = 0.6; // every slip gives 0 or 1 at p = 0.5
+        const odds = probability / (1 - probability);
+        const correct = String(roundToThreeDecimals(Math.log(odds)));
+        const slips = distinctSlips(correct, [
+            [String(roundToThreeDecimals(odds)), 'the odds themselves (forgot the natural log)'],
+            [String(roundToThreeDecimals(Math.log(1 / odds))), 'the log of the odds against (ratio upside down)'],
+            [String(roundToThreeDecimals(Math.log10(odds))), 'a base-10 log instead of the natural log'],
+            [String(roundToThreeDecimals(Math.log(probability))), 'the log of the probability, not of the odds'],
+        ]);
+        const options = buildChoiceOptions(correct, slips.map(([value]) => value), random);
+        return {
+            text: `If probability = ${probability}, which value is the log-odds?`,
+            answer: correct,
+            formula: `log-odds = ln(${probability} / (1 - ${probability})) = ${correct}. ${describeDistractors(slips, options)}`,
+            steps: [
+                `Find the odds: ${probability} / (1 - ${probability}) = ${roundToThreeDecimals(odds)}`,
+                `Take the natural log (not log base 10): ln(${roundToThreeDecimals(odds)}) = ${correct}`,
+            ],
+            data: { options, distractors: slips },
+        };
+    },
+}));
+
+// Multiple choice: distractors mix up probability, odds in favour and odds against
+ConceptualQuestionGenerator.registerQuestionType(multipleChoiceQuestionType({
+    id: 'odds-choice',
+    label: 'Odds vs. probability (multiple choice)',
+    generate({ random, difficulty }) {
+        const toOdds = random() < 0.5;
+
+        // Redraw p when a slip lands on the answer (at p = 0.382, 1 - p equals the odds)
+        let values = null;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            let probability = randomProbability(random, difficulty, 0.1, 0.9);
+            if (probability === 0.5) probability = 0.6; // odds in favour and against coincide at p = 0.5
+            values = oddsChoiceValues(probability, toOdds);
+            if (!values.slips.some(([value]) => value === values.correct)) break;
+        }
+        const { p, odds, correct } = values;
+        const slips = distinctSlips(correct, values.slips);
+        const options = buildChoiceOptions(correct, slips.map(([value]) => value), random);
+
+        if (toOdds) {
+            return {
+                text: `An event has probability ${p}. What are the odds in favour?`,
+                answer: correct,
+                formula: `odds = ${p} / (1 - ${p}) = ${correct}. ${describeDistractors(slips, options)}`,
+                steps: [
+                    'Odds in favour compare happening with not happening: p / (1 - p).',
+                    `${p} / ${roundToThreeDecimals(1 - p)} = ${correct}`,
+                ],
+                data: { options, distractors: slips },
+            };
+        }
+
+        return {
+            text: `The odds in favour of an event are ${odds}. What is its probability?`,
+            answer: correct,
+            formula: `p = odds / (1 + odds) = ${odds} / ${roundToThreeDecimals(1 + odds)} = ${correct}. ${describeDistractors(slips, options)}`,
+            steps: [
+                `Odds of ${odds} mean ${odds} successes for every 1 failure, so ${roundToThreeDecimals(1 + odds)} outcomes in all.`,
+                `p = odds / (1 + odds) = ${odds} / ${roundToThreeDecimals(1 + odds)} = ${correct}`,
+            ],
+            data: { options, distractors: slips },
+        };
+    },
+}));
+
+/**
+ * Answer and slips for an odds-choice question
+ * @param {number} probability - Drawn probability
+ * @param {boolean} toOdds - true to ask for the odds, false to ask for the probability
+ * @returns {{p: number, odds: number, correct: string, slips: Array<[string, string]>}} Question values
+ */
+function oddsChoiceValues(probability, toOdds) {
+    if (toOdds) {
+        const p = probability;
+        return {
+            p,
+            odds: roundToThreeDecimals(p / (1 - p)),
+            correct: String(roundToThreeDecimals(p / (1 - p))),
+            slips: [
+                [String(p), 'the probability itself (probability and odds are not the same scale)'],
+                [String(roundToThreeDecimals((1 - p) / p)), 'the odds against'],
+                [String(roundToThreeDecimals(1 - p)), 'the probability of the event not happening'],
+            ],
+        };
+    }
+
+    const odds = roundToThreeDecimals(probabilityToOdds(probability));
+    return {
+        p: probability,
+        odds,
+        correct: String(roundToThreeDecimals(odds / (1 + odds))),
+        slips: [
+            [String(odds), 'the odds read as if they were a probability'],
+            [String(roundToThreeDecimals(1 / (1 + odds))), 'the probability of the event not happening'],
+            [String(roundToThreeDecimals(1 / odds)), 'the odds against'],
+        ],
+    };
+}
+
+// Order values given on mixed scales; answered as letters, e.g. "B, D, A, C"
+ConceptualQuestionGenerator.registerQuestionType({
+    id: 'likelihood-ordering',
+    label: 'Ordering by likelihood',
+    generate({ random, difficulty }) {
+        // Harder sets use probabilities that sit closer together
+        const spacing = [0.15, 0.1, 0.05][Math.min(Math.max(difficulty, 0), 2)];
+        const grid = [];
+        for (let p = 0.05; p < 0.951; p += spacing) grid.push(roundToThreeDecimals(p));
+        const probabilities = shuffleWithRandom(grid, random).slice(0, 4);
+
+        const letters = ['A', 'B', 'C', 'D'];
+        const formats = [
+            (p) => `probability = ${p}`,
+            (p) => `odds = ${roundToThreeDecimals(probabilityToOdds(p))}`,
+            (p) => `log-odds = ${roundToThreeDecimals(probabilityToLogOdds(p))}`,
+        ];
+        const items = probabilities.map((p, i) => ({
+            letter: letters[i],
+            p,
+            label: formats[Math.floor(random() * formats.length)](p),
+        }));
+        const order = [...items].sort((x, y) => x.p - y.p).map((item) => item.letter);
+
+        return {
+            text: `Order from least to most likely: ${items.map((item) => `${item.letter}) ${item.label}`).join('; ')}`,
+            answer: order.join(', '),
+            formula: `As probabilities: ${[...items].sort((x, y) => x.p - y.p).map((item) => `${item.letter} = ${item.p}`).join(' < ')}. Probability, odds and log-odds all increase together, so any of them can be compared once on the same scale.`,
+            steps: [
+                'Put every value on the same scale. Probability, odds and log-odds all increase together, so any scale works; probability is used here.',
+                ...items.map((item) => `${item.letter}) ${item.label} → p = ${item.p}`),
+                `Sort from smallest to largest: ${order.join(', ')}`,
+            ],
+            data: { order },
+        };
+    },
+    renderInput: (question) => textAnswerInput(question, 'e.g. B, D, A, C'),
+    readAnswer: readTextAnswer,
+    grade: (userRaw, answer) => {
+        const letters = (text) => String(text).toUpperCase().replace(/[^A-Z]/g, '');
+        const given = letters(userRaw);
+        const expected = letters(answer.answer);
+        if (given === expected) return given.length > 0;
+
+        // Half credit when exactly one neighbouring pair is swapped
+        const mismatches = [...expected].map((letter, i) => (given[i] === letter ? -1 : i)).filter((i) => i >= 0);
+        const oneSwap = given.length === expected.length && mismatches.length === 2 &&
+            mismatches[1] === mismatches[0] + 1 &&
+            given[mismatches[0]] === expected[mismatches[1]] && given[mismatches[1]] === expected[mismatches[0]];
+        return oneSwap
+            ? { score: PARTIAL_CREDIT_SCORE, feedback: `Nearly: ${expected[mismatches[0]]} and ${expected[mismatches[1]]} are the wrong way round. Convert both to probabilities to compare them.` }
+            : false;
+    },
+    explain: (generated) => generated.formula,
+});
+
+// Any probability inside the range is accepted
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'logit-range',
+    label: 'Log-odds ranges',
+    generate({ random, difficulty }) {
+        const width = [2, 1, 0.5][Math.min(Math.max(difficulty, 0), 2)];
+        const low = Math.floor(random() * 8) * 0.5 - 2.5; // -2.5 to 1
+        const high = low + width;
+        const min = roundToThreeDecimals(logOddsToProbability(low));
+        const max = roundToThreeDecimals(logOddsToProbability(high));
+        return {
+            text: `Give any probability whose log-odds lies between ${low} and ${high}.`,
+            answer: `any value from ${min} to ${max}`,
+            formula: `p = 1 / (1 + e^-x) is increasing, so the log-odds range ${low} to ${high} maps to probabilities ${min} to ${max}.`,
+            steps: [
+                `Convert the lower end: 1 / (1 + e^${-low}) = ${min}`,
+                `Convert the upper end: 1 / (1 + e^${-high}) = ${max}`,
+                `The conversion is increasing, so any probability from ${min} to ${max} works.`,
+            ],
+            data: { min, max },
+        };
+    },
+    grade: (userRaw, answer, question) => {
+        const value = parseAnswerValue(userRaw);
+        return isFinite(value) && value >= question.data.min - 0.001 && value <= question.data.max + 0.001;
+    },
+    validateData: (data) => (data && isFinite(data.min) && isFinite(data.max) && data.min <= data.max
+        ? ''
+        : 'min and max must be numbers with min <= max.'),
+}));
+
+// Odds given as a ratio; the answer may be typed as a fraction
+ConceptualQuestionGenerator.registerQuestionType(numericQuestionType({
+    id: 'odds-ratio-to-probability',
+    label: 'Odds a:b → probability',
+    generate({ random, difficulty }) {
+        const maxTerm = [4, 9, 19][Math.min(Math.max(difficulty, 0), 2)];
+        let inFavour = Math.floor(random() * maxTerm) + 1;
+        let against = Math.floor(random() * maxTerm) + 1;
+        const divisor = greatestCommonDivisor(inFavour, against);
+        inFavour /= divisor;
+        against /= divisor;
+        const total = inFavour + against;
+        return {
+            text: `The odds in favour of an event are ${inFavour}:${against}. What is its probability? (A fraction such as 3/7 is accepted.)`,
+            answer: `${inFavour}/${total}`,
+            data: {
+                misconceptions: [
+                    { value: inFavour / against, feedback: `That is the odds ${inFavour}/${against}. A probability divides by the total, ${inFavour} + ${against}.` },
+                    { value: against / total, feedback: 'That is the probability of the event not happening.' },
+                ],
+            },
+            formula: `Odds ${inFavour}:${against} mean ${inFavour} of every ${total} trials succeed, so p = ${inFavour} / (${inFavour} + ${against}) = ${inFavour}/${total} ≈ ${roundToThreeDecimals(inFavour / total)}`,
+            steps: [
+                `Count all outcomes: ${inFavour} + ${against} = ${total}`,
+                `Successes over all outcomes: p = ${inFavour}/${total} ≈ ${roundToThreeDecimals(inFavour / total)}`,
+            ],
+        };
+    },
+}));
+
+export {
+    ConceptualQuestionGenerator,
+    QUESTION_SET_FORMAT,
+    escapeHtml,
+    randomProbability,
+    ANSWER_ABSOLUTE_TOLERANCE,
+    ANSWER_RELATIVE_TOLERANCE,
+    PARTIAL_CREDIT_ABSOLUTE_TOLERANCE,
+    PARTIAL_CREDIT_RELATIVE_TOLERANCE,
+    PARTIAL_CREDIT_SCORE,
+    parseAnswerValue,
+    gradeNumericAnswer,
+    gradeTextAnswer,
+    normalizeGrade,
+    textAnswerInput,
+    readTextAnswer,
+    numericQuestionType,
+    trueFalseQuestionType,
+    multipleChoiceQuestionType,
+    buildChoiceOptions,
+    shuffleWithRandom,
+};
@@ -0,0 +1,53 @@
+// ============================================
+// RANDOM.JS - Seeded random numbers
+// ES module shared by the page, the simulation worker and question generation
+// ============================================
+
+/**
+ * Hashes a seed string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} seed - Any seed text, e.g. "amber-falcon-427"
+ * @returns {number} 32-bit hash
+ */
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * The returned function has the same contract as Math.random: a float in [0, 1)
+ * @param {string} seed - Seed text; the same seed always yields the same sequence
+ * @returns {function(): number} Random number generator
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const seedAdjectives = ['amber', 'brisk', 'calm', 'dusky', 'eager', 'fuzzy', 'gentle', 'hazel', 'ivory', 'jolly', 'keen', 'lucky'];
+const seedNouns = ['falcon', 'otter', 'maple', 'comet', 'harbor', 'lynx', 'meadow', 'pebble', 'raven', 'summit', 'tiger', 'willow'];
+
+/**
+ * Creates a readable seed name such as "amber-falcon-427"
+ * @param {function(): number} random - Random source (defaults to Math.random)
+ * @returns {string} Seed name
+ */
+function generateSeedName(random = Math.random) {
+    const adjective = seedAdjectives[Math.floor(random() * seedAdjectives.length)];
+    const noun = seedNouns[Math.floor(random() * seedNouns.length)];
+    const number = Math.floor(random() * 900) + 100;
+    return `${adjective}-${noun}-${number}`;
+}
+
+export { hashSeed, createSeededRandom, generateSeedName };
@@ -3,52 +3,112 @@
 // Log-odds visualizations and comparisons
 // ============================================
 
+import {
+    createSeededRandom,
+    generateSeedName,
+} from './random.js';
+import {
+    roundToThreeDecimals,
+    probabilityToOdds,
+    probabilityToLogOdds,
+    logOddsToProbability,
+    probabilitiesToOdds,
+    probabilitiesToLogOdds,
+    probabilityGrid,
+    createProbabilityStore,
+    parseRegressionData,
+    fitLogisticRegression,
+    wilsonInterval,
+    binomialPmf,
+    normalPdf,
+    chiSquarePValue,
+    parseFractionOrNumber,
+    twoByTwoMeasures,
+    likelihoodRatioFromTest,
+    bayesianUpdateSteps,
+    parseBettingOdds,
+    probabilityToBettingOdds,
+    removeOverround,
+} from './probability-core.js';
+import {
+    ConceptualQuestionGenerator,
+    escapeHtml,
+    normalizeGrade,
+} from './question-generator.js';
+import {
+    runSimulationJob,
+    simulateCategorical,
+} from './simulation-engine.js';
+
 // ============================================
 // 1. UTILITY FUNCTIONS
 // ============================================
 
 /**
- * Rounds a number to 3 decimal places
- * @param {number} value - The value to round
- * @returns {number} Rounded value
+ * Formats rows as CSV text, quoting fields that contain commas, quotes or newlines
+ * @param {Array<Array<*>>} rows - Rows of cell values, header first
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map((row) => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Saves text as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    downloadDataUrl(filename, url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Saves a data: or blob: URL as a file through a temporary download link
+ * @param {string} filename - Suggested file name
+ * @param {string} url - URL of the file contents
  */
-function roundToThreeDecimals(value) {
-    return Math.round(value * 1000) / 1000;
+function downloadDataUrl(filename, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
 }
 
 /**
- * Calculates odds from probability
- * Formula: odds = p / (1 - p)
- * @param {number} probability - Value between 0 and 1
- * @returns {number} Calculated odds
+ * Formats a number for explanation text (3 decimals, or scientific notation when huge/tiny)
  */
-function probabilityToOdds(probability) {
-    if (probability >= 1) return Infinity;
-    if (probability <= 0) return 0;
-    return probability / (1 - probability);
+function formatCoefficient(value) {
+    if (!isFinite(value)) return String(value);
+    if (value !== 0 && (Math.abs(value) >= 1e6 || Math.abs(value) < 1e-3)) return value.toExponential(2);
+    return String(roundToThreeDecimals(value));
 }
 
 /**
- * Calculates log-odds (logit) from probability
- * Formula: log-odds = ln(p / (1 - p))
- * @param {number} probability - Value between 0 and 1
- * @returns {number} Calculated log-odds
+ * Formats a probability like formatCoefficient, but shows probabilities that
+ * would round to 1 as "1 − ε" so 0.999999 does not display as 1
+ * @param {number} probability - Probability to show
+ * @param {number} complement - 1 - probability, if known more precisely (e.g. from log-odds)
+ * @returns {string} Display text
  */
-function probabilityToLogOdds(probability) {
-    if (probability >= 1) return Infinity;
-    if (probability <= 0) return -Infinity;
-    return Math.log(probability / (1 - probability));
+function formatProbability(probability, complement = 1 - probability) {
+    if (complement > 0 && roundToThreeDecimals(probability) === 1) return `1 − ${formatCoefficient(complement)}`;
+    return formatCoefficient(probability);
 }
 
 /**
- * Converts log-odds back to probability
- * Formula: p = e^(logit) / (1 + e^(logit))
- * @param {number} logOdds - The log-odds value
- * @returns {number} Calculated probability
+ * Makes text safe to use in a file name
  */
-function logOddsToProbability(logOdds) {
-    const eLogOdds = Math.exp(logOdds);
-    return eLogOdds / (1 + eLogOdds);
+function fileNameSafe(text) {
+    return String(text).replace(/[^\w-]+/g, '_');
 }
 
 /*
@@ -92,6 +152,11 @@ function updateRealWorldExample(p) {
 let logitChart = null;
 let comparisonChart = null;
 let simulationChart = null;
+let convergenceChart = null;
+let samplingChart = null;
+let categoricalChart = null;
+let regressionChart = null;
+let historyChart = null;
 
 // Chart colors and styling
 const chartConfig = {
@@ -103,33 +168,171 @@ const chartConfig = {
     tooltipBgColor: 'rgba(15, 20, 25, 0.95)',
     probabilityColor: 'rgba(102, 126, 234, 0.8)',
     oddsColor: 'rgba(244, 67, 54, 0.8)',
+    groupAColor: 'rgba(46, 204, 113, 0.95)',
+    groupBColor: 'rgba(255, 193, 7, 0.95)',
+    bayesColor: 'rgba(0, 188, 212, 0.95)',
 };
 
+/**
+ * Builds an (initially empty) scatter dataset used to mark a group on a chart
+ * @param {string} label - Legend label
+ * @param {string} color - Marker color
+ * @param {string} yAxisID - Axis the marker belongs to (omit for single-axis charts)
+ */
+function groupMarkerDataset(label, color, yAxisID) {
+    const dataset = {
+        label,
+        data: [],
+        type: 'scatter',
+        pointRadius: 7,
+        pointStyle: 'triangle',
+        pointBackgroundColor: color,
+        pointBorderColor: 'rgba(255, 255, 255, 0.8)',
+        pointBorderWidth: 2,
+        showLine: false,
+    };
+    if (yAxisID) dataset.yAxisID = yAxisID;
+    return dataset;
+}
+
+// Probability range plotted by the logit and comparison charts until the user changes it
+const DEFAULT_CHART_RANGE = { min: 0.01, max: 0.99 };
+
+// Points per curve, spaced evenly in log-odds (see probabilityGrid)
+const CURVE_SAMPLE_COUNT = 201;
+
+/**
+ * Logit curve points over a probability range
+ * @param {{min: number, max: number}} range - Probability range
+ * @returns {Array<{x: number, y: number}>} Points (probability, log-odds)
+ */
+function logitCurvePoints(range) {
+    const grid = probabilityGrid(range.min, range.max, CURVE_SAMPLE_COUNT);
+    const logOdds = probabilitiesToLogOdds(grid);
+    return grid.map((p, i) => ({ x: p, y: logOdds[i] }));
+}
+
+/**
+ * Probability and odds curve points over a probability range
+ * @param {{min: number, max: number}} range - Probability range
+ * @returns {{probability: Array<{x: number, y: number}>, odds: Array<{x: number, y: number}>}} Points per curve
+ */
+function comparisonCurvePoints(range) {
+    const grid = probabilityGrid(range.min, range.max, CURVE_SAMPLE_COUNT);
+    const odds = probabilitiesToOdds(grid);
+    return {
+        probability: grid.map((p) => ({ x: p, y: p })),
+        odds: grid.map((p, i) => ({ x: p, y: odds[i] })),
+    };
+}
+
+/**
+ * The probability under a horizontal pixel position, clamped to the plotted range.
+ * The range controls keep that range strictly inside (0, 1), so log-odds stay finite.
+ * @param {Chart} chart - Chart whose x axis is probability
+ * @param {number} x - Pixel position relative to the canvas
+ * @returns {number} Probability
+ */
+function probabilityAtPixel(chart, x) {
+    const { min, max } = chart.scales.x;
+    return Math.min(Math.max(chart.scales.x.getValueForPixel(x), min), max);
+}
+
+/**
+ * Creates a Chart.js plugin that draws a crosshair at the pointer: a vertical line at the
+ * pointer's probability, a dot where it meets each curve, and a readout of p, odds and log-odds
+ * @param {function(number): Array<{scaleId: string, value: number, color: string}>} curvePoints -
+ *     The curve values at a probability, one per curve, with the y scale each is plotted on
+ * @returns {Object} Plugin for the chart's `plugins` list
+ */
+function createProbabilityCrosshairPlugin(curvePoints) {
+    let pointer = null; // { x, y } in canvas pixels while the pointer is over the chart area
+
+    return {
+        id: 'probabilityCrosshair',
+        afterEvent(chart, args) {
+            const { event } = args;
+            const next = event.type !== 'mouseout' && args.inChartArea ? { x: event.x, y: event.y } : null;
+            if (next || pointer) args.changed = true;
+            pointer = next;
+        },
+        afterDraw(chart) {
+            if (!pointer) return;
+            const { ctx, chartArea, scales } = chart;
+            const probability = probabilityAtPixel(chart, pointer.x);
+            const x = scales.x.getPixelForValue(probability);
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+            ctx.clip();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            curvePoints(probability).forEach(({ scaleId, value, color }) => {
+                const y = scales[scaleId].getPixelForValue(value);
+                ctx.setLineDash([4, 4]);
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+                ctx.beginPath();
+                ctx.moveTo(chartArea.left, y);
+                ctx.lineTo(x, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(x, y, 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.restore();
+
+            // Readout next to the pointer, flipped to the left near the right edge
+            const lines = [
+                `p = ${formatProbability(probability)}`,
+                `odds = ${formatCoefficient(probabilityToOdds(probability))}`,
+                `log-odds = ${formatCoefficient(probabilityToLogOdds(probability))}`,
+            ];
+            ctx.save();
+            ctx.font = '12px sans-serif';
+            const padding = 8;
+            const lineHeight = 16;
+            const width = Math.max(...lines.map((line) => ctx.measureText(line).width)) + padding * 2;
+            const height = lines.length * lineHeight + padding * 2 - 4;
+            const boxX = x + 12 + width > chartArea.right ? x - 12 - width : x + 12;
+            const boxY = Math.min(Math.max(pointer.y - height / 2, chartArea.top), chartArea.bottom - height);
+            ctx.fillStyle = chartConfig.tooltipBgColor;
+            ctx.strokeStyle = 'rgba(102, 126, 234, 0.5)';
+            ctx.beginPath();
+            ctx.rect(boxX, boxY, width, height);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#e0e6ed';
+            ctx.textBaseline = 'top';
+            lines.forEach((line, index) => ctx.fillText(line, boxX + padding, boxY + padding + index * lineHeight));
+            ctx.restore();
+        },
+    };
+}
+
 /**
  * Creates the Log-Odds (Logit) chart
  */
 function createLogitChart() {
     // Generate data points for the S-shaped curve
-    const labels = [];
-    const dataPoints = [];
-    
-    // Create finer resolution near boundaries for smoothness
-    const probabilities = [
-        0.01, 0.02, 0.03, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45,
-        0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 0.97, 0.98, 0.99
-    ];
-    
-    probabilities.forEach(p => {
-        labels.push(p);
-        const logOdds = probabilityToLogOdds(p);
-        dataPoints.push(logOdds);
-    });
+    const dataPoints = logitCurvePoints(DEFAULT_CHART_RANGE);
 
     const ctx = document.getElementById('logit-chart').getContext('2d');
     logitChart = new Chart(ctx, {
         type: 'line',
+        plugins: [
+            createProbabilityCrosshairPlugin((p) => [
+                { scaleId: 'y', value: probabilityToLogOdds(p), color: chartConfig.primaryColor },
+            ]),
+        ],
         data: {
-            labels: labels,
             datasets: [
                 {
                     label: 'Log-Odds (Logit)',
@@ -139,7 +342,7 @@ function createLogitChart() {
                     fill: true,
                     tension: 0.4,
                     borderWidth: 3,
-                    pointRadius: 2,
+                    pointRadius: 0,
                     pointBackgroundColor: chartConfig.primaryColor,
                     pointBorderColor: 'rgba(255, 255, 255, 0.5)',
                     pointBorderWidth: 1,
@@ -157,13 +360,31 @@ function createLogitChart() {
                     pointBorderWidth: 2,
                     showLine: false,
                 },
+                // Two-group comparison markers (filled in by the 2×2 table)
+                groupMarkerDataset('Group A', chartConfig.groupAColor),
+                groupMarkerDataset('Group B', chartConfig.groupBColor),
+                // Bayesian updating path: prior, then each posterior along the curve
+                {
+                    label: 'Bayesian Update',
+                    data: [],
+                    type: 'scatter',
+                    showLine: true,
+                    borderColor: chartConfig.bayesColor,
+                    borderWidth: 2,
+                    borderDash: [4, 4],
+                    pointRadius: [],
+                    pointBackgroundColor: chartConfig.bayesColor,
+                    pointBorderColor: 'rgba(255, 255, 255, 0.8)',
+                    pointBorderWidth: 2,
+                },
             ],
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             interaction: {
-                mode: 'index',
+                mode: 'nearest',
+                axis: 'x',
                 intersect: false,
             },
             plugins: {
@@ -174,9 +395,13 @@ function createLogitChart() {
                         color: '#b0b8d4',
                         font: { size: 12, weight: 600 },
                         padding: 15,
+                        // Hide markers that have nothing to show yet
+                        filter: (item, data) => data.datasets[item.datasetIndex].data.length > 0,
                     },
                 },
                 tooltip: {
+                    // Only over a marker or curve point; the crosshair readout covers the rest
+                    intersect: true,
                     backgroundColor: chartConfig.tooltipBgColor,
                     padding: 12,
                     titleFont: { size: 13, weight: 'bold' },
@@ -200,6 +425,9 @@ function createLogitChart() {
             },
             scales: {
                 x: {
+                    type: 'linear',
+                    min: DEFAULT_CHART_RANGE.min,
+                    max: DEFAULT_CHART_RANGE.max,
                     title: {
                         display: true,
                         text: 'Probability',
@@ -239,33 +467,28 @@ function createLogitChart() {
  */
 function createComparisonChart() {
     // Generate data points for both curves
-    const labels = [];
-    const probDataPoints = [];
-    const oddsDataPoints = [];
-    
-    for (let p = 0.01; p <= 0.99; p += 0.02) {
-        labels.push(roundToThreeDecimals(p));
-        probDataPoints.push(p);
-        const odds = probabilityToOdds(p);
-        // Cap odds at 20 for visibility
-        oddsDataPoints.push(Math.min(odds, 20));
-    }
+    const curves = comparisonCurvePoints(DEFAULT_CHART_RANGE);
 
     const ctx = document.getElementById('comparison-chart').getContext('2d');
     comparisonChart = new Chart(ctx, {
         type: 'line',
+        plugins: [
+            createProbabilityCrosshairPlugin((p) => [
+                { scaleId: 'y1', value: p, color: chartConfig.probabilityColor },
+                { scaleId: 'y2', value: probabilityToOdds(p), color: chartConfig.oddsColor },
+            ]),
+        ],
         data: {
-            labels: labels,
             datasets: [
                 {
                     label: 'Probability',
-                    data: probDataPoints,
+                    data: curves.probability,
                     borderColor: chartConfig.probabilityColor,
                     backgroundColor: 'rgba(102, 126, 234, 0.05)',
                     fill: true,
                     tension: 0.1,
                     borderWidth: 3,
-                    pointRadius: 2,
+                    pointRadius: 0,
                     pointBackgroundColor: chartConfig.probabilityColor,
                     pointBorderColor: 'rgba(255, 255, 255, 0.5)',
                     pointBorderWidth: 1,
@@ -275,13 +498,13 @@ function createComparisonChart() {
                 },
                 {
                     label: 'Odds',
-                    data: oddsDataPoints,
+                    data: curves.odds,
                     borderColor: chartConfig.oddsColor,
                     backgroundColor: 'rgba(244, 67, 54, 0.05)',
                     fill: true,
                     tension: 0.3,
                     borderWidth: 3,
-                    pointRadius: 2,
+                    pointRadius: 0,
                     pointBackgroundColor: chartConfig.oddsColor,
                     pointBorderColor: 'rgba(255, 255, 255, 0.5)',
                     pointBorderWidth: 1,
@@ -313,13 +536,17 @@ function createComparisonChart() {
                     showLine: false,
                     yAxisID: 'y2',
                 },
+                // Two-group comparison markers on the odds curve (filled in by the 2×2 table)
+                groupMarkerDataset('Group A', chartConfig.groupAColor, 'y2'),
+                groupMarkerDataset('Group B', chartConfig.groupBColor, 'y2'),
             ],
         },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             interaction: {
-                mode: 'index',
+                mode: 'nearest',
+                axis: 'x',
                 intersect: false,
             },
             plugins: {
@@ -330,9 +557,13 @@ function createComparisonChart() {
                         color: '#b0b8d4',
                         font: { size: 12, weight: 600 },
                         padding: 15,
+                        // Hide markers that have nothing to show yet
+                        filter: (item, data) => data.datasets[item.datasetIndex].data.length > 0,
                     },
                 },
                 tooltip: {
+                    // Only over a marker or curve point; the crosshair readout covers the rest
+                    intersect: true,
                     backgroundColor: chartConfig.tooltipBgColor,
                     padding: 12,
                     titleFont: { size: 13, weight: 'bold' },
@@ -356,6 +587,9 @@ function createComparisonChart() {
             },
             scales: {
                 x: {
+                    type: 'linear',
+                    min: DEFAULT_CHART_RANGE.min,
+                    max: DEFAULT_CHART_RANGE.max,
                     title: {
                         display: true,
                         text: 'Probability',
@@ -400,8 +634,6 @@ function createComparisonChart() {
                         font: { size: 13, weight: 600 },
                         color: chartConfig.oddsColor,
                     },
-                    min: 0,
-                    max: 20,
                     grid: {
                         drawOnChartArea: false,
                     },
@@ -454,493 +686,2691 @@ function createSimulationChart() {
     });
 }
 
-// ============================================
-// 3. EVENT HANDLERS
-// ============================================
-
 /**
- * Updates log-odds display when slider changes
+ * Creates the convergence chart (running success rate vs target p)
+ * The shaded band is the 95% Wilson interval around the running rate.
  */
-function handleLogitSliderChange(event) {
-    const probability = parseFloat(event.target.value);
-
-    // Update display
-    document.getElementById('logit-prob-value').textContent = roundToThreeDecimals(probability);
-
-    // Calculate and display odds
-    const odds = probabilityToOdds(probability);
-    document.getElementById('logit-odds-value').textContent = roundToThreeDecimals(odds);
-
-    // Calculate and display log-odds
-    const logOdds = probabilityToLogOdds(probability);
-    document.getElementById('logit-value').textContent = roundToThreeDecimals(logOdds);
-
-    // Update chart marker
-    if (logitChart) {
-        logitChart.data.datasets[1].data = [
-            {
-                x: probability,
-                y: logOdds,
+function createConvergenceChart() {
+    const ctx = document.getElementById('convergence-chart').getContext('2d');
+    convergenceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Running Success Rate',
+                    data: [],
+                    borderColor: chartConfig.primaryColor,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0,
+                    fill: false,
+                },
+                {
+                    label: 'Target p',
+                    data: [],
+                    borderColor: chartConfig.oddsColor,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false,
+                },
+                // Wilson band: the upper bound fills down to the lower bound
+                {
+                    label: '95% Wilson Interval',
+                    data: [],
+                    borderColor: 'rgba(102, 126, 234, 0.25)',
+                    backgroundColor: 'rgba(102, 126, 234, 0.18)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: '+1',
+                },
+                {
+                    label: 'Wilson Lower',
+                    data: [],
+                    borderColor: 'rgba(102, 126, 234, 0.25)',
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: false,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false,
             },
-        ];
-        logitChart.update('none');
-    }
-
-    // Update real-world example panel based on the selected probability
-    updateRealWorldExample(probability);
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        color: '#b0b8d4',
+                        font: { size: 12, weight: 600 },
+                        filter: (item) => item.text !== 'Wilson Lower',
+                    },
+                },
+                tooltip: {
+                    backgroundColor: chartConfig.tooltipBgColor,
+                    filter: (item) => item.dataset.label !== 'Wilson Lower',
+                    callbacks: {
+                        title: (items) => (items.length ? `Trial ${items[0].parsed.x}` : ''),
+                        label: (context) => `${context.dataset.label}: ${roundToThreeDecimals(context.parsed.y)}`,
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: 1,
+                    title: { display: true, text: 'Trial', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4', precision: 0 },
+                },
+                y: {
+                    min: 0,
+                    max: 1,
+                    title: { display: true, text: 'Success Rate', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
+            },
+        },
+    });
 }
 
 /**
- * Updates comparison display when input changes
+ * Creates the sampling distribution chart for repeated experiments:
+ * a histogram of observed success counts overlaid with the Binomial(n, p) PMF
+ * and its normal approximation
  */
-function handleComparisonInputChange(event) {
-    let probability = parseFloat(event.target.value);
-
-    // Validate and constrain probability
-    if (isNaN(probability) || probability < 0) {
-        probability = 0.01;
-    } else if (probability > 1) {
-        probability = 0.99;
-    }
-
-    // Update display
-    document.getElementById('comp-prob-value').textContent = roundToThreeDecimals(probability);
-
-    // Calculate and display odds
-    const odds = probabilityToOdds(probability);
-    document.getElementById('comp-odds-value').textContent = roundToThreeDecimals(odds);
-
-    // Update chart markers
-    if (comparisonChart) {
-        // Update probability marker
-        comparisonChart.data.datasets[2].data = [
-            {
-                x: probability,
-                y: probability,
+function createSamplingChart() {
+    const ctx = document.getElementById('sampling-chart').getContext('2d');
+    samplingChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Observed Frequency',
+                    data: [],
+                    backgroundColor: 'rgba(102, 126, 234, 0.55)',
+                    borderColor: chartConfig.primaryColor,
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: 1,
+                    order: 3,
+                },
+                {
+                    label: 'Binomial(n, p) PMF',
+                    data: [],
+                    type: 'line',
+                    borderColor: chartConfig.oddsColor,
+                    backgroundColor: chartConfig.oddsColor,
+                    borderWidth: 2,
+                    pointRadius: 2,
+                    tension: 0,
+                    order: 1,
+                },
+                {
+                    label: 'Normal Approximation',
+                    data: [],
+                    type: 'line',
+                    borderColor: 'rgba(46, 204, 113, 0.9)',
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.4,
+                    order: 2,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false,
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { color: '#b0b8d4', font: { size: 12, weight: 600 } },
+                },
+                tooltip: {
+                    backgroundColor: chartConfig.tooltipBgColor,
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${roundToThreeDecimals(context.parsed.y)}`,
+                    },
+                },
             },
-        ];
-        // Update odds marker
-        comparisonChart.data.datasets[3].data = [
-            {
-                x: probability,
-                y: Math.min(odds, 20),
+            scales: {
+                x: {
+                    title: { display: true, text: 'Successes per Experiment', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Relative Frequency', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
             },
-        ];
-        comparisonChart.update('none');
-    }
+        },
+    });
 }
 
 /**
- * Runs a simulation with `n` trials using probability `p`.
- * Updates DOM elements and the simulation chart.
+ * Creates the categorical simulation chart (observed vs expected counts per outcome)
  */
-function runSimulation(p, n) {
-    // Ensure p is in (0,1)
-    p = Math.min(Math.max(p, 0), 1);
-
-    let successes = 0;
-    for (let i = 0; i < n; i++) {
-        if (Math.random() < p) successes++;
-    }
-    const failures = n - successes;
-    const rate = successes / n;
-
-    // Update DOM
-    document.getElementById('sim-successes').textContent = successes;
-    document.getElementById('sim-failures').textContent = failures;
-    document.getElementById('sim-rate').textContent = roundToThreeDecimals(rate);
-
-    // Update chart
-    if (simulationChart) {
-        simulationChart.data.datasets[0].data = [successes, failures];
-        // adjust y max slightly to fit
-        const maxVal = Math.max(successes, failures);
-        simulationChart.options.scales.y.max = Math.ceil(maxVal * 1.1);
-        simulationChart.update();
-    }
+function createCategoricalChart() {
+    const ctx = document.getElementById('categorical-chart').getContext('2d');
+    categoricalChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Observed',
+                    data: [],
+                    backgroundColor: chartConfig.probabilityColor,
+                },
+                {
+                    label: 'Expected',
+                    data: [],
+                    backgroundColor: chartConfig.oddsColor,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { color: '#b0b8d4', font: { size: 12, weight: 600 } },
+                },
+                tooltip: {
+                    backgroundColor: chartConfig.tooltipBgColor,
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${roundToThreeDecimals(context.parsed.y)}`,
+                    },
+                },
+            },
+            scales: {
+                y: { beginAtZero: true, ticks: { color: '#b0b8d4' }, grid: { color: chartConfig.gridColor } },
+                x: { ticks: { color: '#b0b8d4' } },
+            },
+        },
+    });
 }
 
-// ============================================
-// 4. PRACTICE QUESTIONS
-// ============================================
-
 /**
- * Question generator class for conceptual questions
+ * Creates the logistic regression chart (observations and fitted sigmoid)
  */
-let questionGenerator = null; // will be initialized in initializeApp()
-
-class ConceptualQuestionGenerator {
-    constructor(questionCount = 5) {
-        this.questionCount = questionCount;
-        this.questions = [];
-        this.answers = [];
-        this.questionTypes = [
-            'logit-conversion',
-            'odds-growth',
-            'logit-interpretation',
-            'probability-conversion',
-            'compare-metrics',
-        ];
-    }
-
-    /**
-     * Generates random conceptual practice questions
-     */
-    generate() {
-        this.questions = [];
-        this.answers = [];
-
-        for (let i = 0; i < this.questionCount; i++) {
-            const typeIndex = i % this.questionTypes.length;
-            const questionType = this.questionTypes[typeIndex];
-
-            switch (questionType) {
-                case 'logit-conversion':
-                    this.generateLogitConversion();
-                    break;
-                case 'odds-growth':
-                    this.generateOddsGrowthQuestion();
-                    break;
-                case 'logit-interpretation':
-                    this.generateLogitInterpretation();
-                    break;
-                case 'probability-conversion':
-                    this.generateProbabilityConversion();
-                    break;
-                case 'compare-metrics':
-                    this.generateComparisonQuestion();
-                    break;
-            }
-        }
-    }
-
-    /**
-     * Generates a logit conversion question
-     */
-    generateLogitConversion() {
-        const probability = roundToThreeDecimals(Math.random() * 0.8 + 0.1); // 0.1 to 0.9
-        const logOdds = probabilityToLogOdds(probability);
-        const roundedLogOdds = roundToThreeDecimals(logOdds);
+function createRegressionChart() {
+    const ctx = document.getElementById('regression-chart').getContext('2d');
+    regressionChart = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'Observations (y = 0 or 1)',
+                    data: [],
+                    pointRadius: 5,
+                    pointBackgroundColor: 'rgba(102, 126, 234, 0.6)',
+                    pointBorderColor: 'rgba(255, 255, 255, 0.6)',
+                },
+                {
+                    label: 'Fitted P(y = 1 | x)',
+                    data: [],
+                    showLine: true,
+                    borderColor: chartConfig.oddsColor,
+                    borderWidth: 3,
+                    pointRadius: 0,
+                    tension: 0.3,
+                },
+                {
+                    label: 'p = 0.5 (log-odds = 0)',
+                    data: [],
+                    pointRadius: 7,
+                    pointStyle: 'rectRot',
+                    pointBackgroundColor: 'rgba(46, 204, 113, 0.9)',
+                    pointBorderColor: 'rgba(255, 255, 255, 0.8)',
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { color: '#b0b8d4', font: { size: 12, weight: 600 } },
+                },
+                tooltip: {
+                    backgroundColor: chartConfig.tooltipBgColor,
+                    callbacks: {
+                        label: (context) =>
+                            `${context.dataset.label}: (${roundToThreeDecimals(context.parsed.x)}, ${roundToThreeDecimals(context.parsed.y)})`,
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: 'x', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
+                y: {
+                    min: -0.05,
+                    max: 1.05,
+                    title: { display: true, text: 'Probability y = 1', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
+            },
+        },
+    });
+}
 
-        this.questions.push({
-            type: 'logit-conversion',
-            text: `If probability = ${probability}, what is the log-odds (logit)?`,
-            inputId: `question-${this.questions.length}`,
-        });
+/**
+ * Creates the progress history chart (score per submission over time)
+ */
+function createHistoryChart() {
+    const ctx = document.getElementById('history-chart').getContext('2d');
+    historyChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    label: 'Score (%)',
+                    data: [],
+                    borderColor: chartConfig.primaryColor,
+                    backgroundColor: chartConfig.primaryColorLight,
+                    fill: true,
+                    tension: 0.2,
+                    borderWidth: 3,
+                    pointRadius: 4,
+                    pointBackgroundColor: chartConfig.primaryColor,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    backgroundColor: chartConfig.tooltipBgColor,
+                    callbacks: {
+                        label: (context) => `Score: ${roundToThreeDecimals(context.parsed.y)}%`,
+                    },
+                },
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Score (%)', color: '#667eea', font: { size: 13, weight: 600 } },
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4' },
+                },
+                x: {
+                    grid: { color: chartConfig.gridColor },
+                    ticks: { color: '#b0b8d4', maxRotation: 45 },
+                },
+            },
+        },
+    });
+}
+
+// --- Chart export (PNG/SVG snapshots and CSV data) ---
+
+// Page background painted behind exported images, which are otherwise transparent
+const CHART_EXPORT_BACKGROUND = '#1a1f2e';
+const CHART_EXPORT_FONT = "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif";
+
+// Charts with export buttons, by the data-chart value of their toolbar
+const exportableCharts = {
+    logit: { chart: () => logitChart, fileName: 'logit-chart' },
+    comparison: { chart: () => comparisonChart, fileName: 'probability-vs-odds-chart' },
+    simulation: { chart: () => simulationChart, fileName: 'simulation-chart' },
+};
+
+/**
+ * PNG snapshot of a chart as drawn, on the page background
+ * @param {Chart} chart - Chart.js instance
+ * @returns {string} PNG data URL
+ */
+function chartToPngDataUrl(chart) {
+    const canvas = document.createElement('canvas');
+    canvas.width = chart.canvas.width;
+    canvas.height = chart.canvas.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = CHART_EXPORT_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(chart.canvas, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * SVG path through a dataset's points, following Chart.js's bezier control
+ * points when the line has tension
+ * @param {Array<Object>} points - Point elements of a dataset
+ * @returns {string} Path data
+ */
+function svgLinePath(points) {
+    let path = '';
+    let previous = null;
+    points.forEach((point) => {
+        if (point.skip) {
+            previous = null;
+            return;
+        }
+        if (!previous) {
+            path += `M${point.x},${point.y}`;
+        } else if (previous.cp2x !== undefined && point.cp1x !== undefined) {
+            path += `C${previous.cp2x},${previous.cp2y} ${point.cp1x},${point.cp1y} ${point.x},${point.y}`;
+        } else {
+            path += `L${point.x},${point.y}`;
+        }
+        previous = point;
+    });
+    return path;
+}
+
+/**
+ * SVG markup for one point marker
+ * @param {Object} point - Point element with resolved options
+ */
+function svgPointMarker(point) {
+    const { radius, pointStyle, backgroundColor, borderColor, borderWidth } = point.options;
+    if (point.skip || !radius) return '';
+    const paint = `fill="${backgroundColor}" stroke="${borderColor}" stroke-width="${borderWidth}"`;
+    if (pointStyle === 'triangle') {
+        const half = radius * Math.sin(Math.PI / 3);
+        return `<polygon points="${point.x},${point.y - radius} ${point.x - half},${point.y + radius / 2} ${point.x + half},${point.y + radius / 2}" ${paint}/>`;
+    }
+    return `<circle cx="${point.x}" cy="${point.y}" r="${radius}" ${paint}/>`;
+}
+
+/**
+ * Vector (SVG) version of a chart, rebuilt from its current scales, datasets,
+ * markers and legend
+ * @param {Chart} chart - Chart.js instance
+ * @returns {string} SVG document
+ */
+function chartToSvg(chart) {
+    const area = chart.chartArea;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${chart.width}" height="${chart.height}" viewBox="0 0 ${chart.width} ${chart.height}" font-family="${escapeHtml(CHART_EXPORT_FONT)}">`,
+        `<rect width="100%" height="100%" fill="${CHART_EXPORT_BACKGROUND}"/>`,
+        `<defs><clipPath id="chart-area"><rect x="${area.left}" y="${area.top}" width="${area.right - area.left}" height="${area.bottom - area.top}"/></clipPath></defs>`,
+    ];
+
+    // Grid lines, tick labels and axis titles
+    Object.values(chart.scales).forEach((scale) => {
+        const horizontal = scale.isHorizontal();
+        const gridColor = scale.options.grid.color;
+        const tickColor = scale.options.ticks.color;
+        scale.ticks.forEach((tick, index) => {
+            const position = scale.getPixelForTick(index);
+            if (scale.options.grid.display !== false && typeof gridColor === 'string') {
+                parts.push(horizontal
+                    ? `<line x1="${position}" y1="${area.top}" x2="${position}" y2="${area.bottom}" stroke="${gridColor}"/>`
+                    : `<line x1="${area.left}" y1="${position}" x2="${area.right}" y2="${position}" stroke="${gridColor}"/>`);
+            }
+            const label = escapeHtml(Array.isArray(tick.label) ? tick.label.join(' ') : tick.label);
+            if (horizontal) {
+                parts.push(`<text x="${position}" y="${area.bottom + 16}" text-anchor="middle" font-size="11" fill="${tickColor}">${label}</text>`);
+            } else if (scale.position === 'right') {
+                parts.push(`<text x="${area.right + 8}" y="${position + 4}" font-size="11" fill="${tickColor}">${label}</text>`);
+            } else {
+                parts.push(`<text x="${area.left - 8}" y="${position + 4}" text-anchor="end" font-size="11" fill="${tickColor}">${label}</text>`);
+            }
+        });
+
+        const title = scale.options.title;
+        if (title && title.display && title.text) {
+            const text = escapeHtml(title.text);
+            const titleAttributes = `text-anchor="middle" font-size="13" font-weight="600" fill="${title.color}"`;
+            if (horizontal) {
+                parts.push(`<text x="${(area.left + area.right) / 2}" y="${scale.bottom - 4}" ${titleAttributes}>${text}</text>`);
+            } else {
+                const x = scale.position === 'right' ? scale.right - 4 : scale.left + 14;
+                const y = (area.top + area.bottom) / 2;
+                parts.push(`<text x="${x}" y="${y}" transform="rotate(${scale.position === 'right' ? 90 : -90} ${x} ${y})" ${titleAttributes}>${text}</text>`);
+            }
+        }
+    });
+
+    // Datasets, clipped to the plot area like on screen
+    parts.push('<g clip-path="url(#chart-area)">');
+    chart.data.datasets.forEach((dataset, index) => {
+        if (!chart.isDatasetVisible(index)) return;
+        const meta = chart.getDatasetMeta(index);
+
+        if (meta.type === 'bar') {
+            meta.data.forEach((bar) => {
+                const top = Math.min(bar.y, bar.base);
+                parts.push(`<rect x="${bar.x - bar.width / 2}" y="${top}" width="${bar.width}" height="${Math.abs(bar.base - bar.y)}" fill="${bar.options.backgroundColor}"/>`);
+            });
+            return;
+        }
+
+        const showLine = dataset.showLine !== undefined ? dataset.showLine : meta.type === 'line';
+        if (showLine && meta.dataset && meta.data.length > 1) {
+            const line = meta.dataset.options;
+            const path = svgLinePath(meta.data);
+            if (line.fill === true || line.fill === 'origin') {
+                const yScale = chart.scales[meta.yAxisID];
+                const baseline = Math.min(Math.max(yScale.getPixelForValue(0), area.top), area.bottom);
+                const visible = meta.data.filter((point) => !point.skip);
+                parts.push(`<path d="${path}L${visible[visible.length - 1].x},${baseline}L${visible[0].x},${baseline}Z" fill="${line.backgroundColor}" stroke="none"/>`);
+            }
+            const dash = line.borderDash && line.borderDash.length ? ` stroke-dasharray="${line.borderDash.join(' ')}"` : '';
+            parts.push(`<path d="${path}" fill="none" stroke="${line.borderColor}" stroke-width="${line.borderWidth}"${dash}/>`);
+        }
+        meta.data.forEach((point) => parts.push(svgPointMarker(point)));
+    });
+    parts.push('</g>');
+
+    // Legend, using the boxes Chart.js laid out
+    const legend = chart.legend;
+    if (legend && legend.options.display && legend.legendItems) {
+        legend.legendItems.forEach((item, index) => {
+            const box = legend.legendHitBoxes[index];
+            if (!box) return;
+            const boxWidth = legend.options.labels.boxWidth || 40;
+            const fontSize = legend.options.labels.font.size || 12;
+            parts.push(`<rect x="${box.left}" y="${box.top + (box.height - fontSize) / 2}" width="${boxWidth}" height="${fontSize}" fill="${item.fillStyle}" stroke="${item.strokeStyle}" stroke-width="${item.lineWidth}"/>`);
+            parts.push(`<text x="${box.left + boxWidth + 10}" y="${box.top + box.height / 2 + fontSize / 3}" font-size="${fontSize}" font-weight="600" fill="${legend.options.labels.color}">${escapeHtml(item.text)}</text>`);
+        });
+    }
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * A chart's data series as CSV: one row per data point, with the axis
+ * each value is plotted on
+ * @param {Chart} chart - Chart.js instance
+ * @returns {string} CSV text
+ */
+function chartDataToCsv(chart) {
+    const axisName = (id) => {
+        const scale = chart.scales[id];
+        return (scale && scale.options.title && scale.options.title.text) || id;
+    };
+    const rows = [['series', axisName('x'), 'value', 'value_axis']];
+    chart.data.datasets.forEach((dataset, index) => {
+        const yAxis = axisName(chart.getDatasetMeta(index).yAxisID);
+        dataset.data.forEach((point, i) => {
+            if (point !== null && typeof point === 'object') {
+                rows.push([dataset.label, point.x, point.y, yAxis]);
+            } else {
+                rows.push([dataset.label, chart.data.labels[i], point, yAxis]);
+            }
+        });
+    });
+    return toCsv(rows);
+}
+
+/**
+ * Downloads a chart as PNG, SVG or CSV
+ * @param {string} chartKey - Key in exportableCharts
+ * @param {string} format - 'png', 'svg' or 'csv'
+ */
+function exportChart(chartKey, format) {
+    const entry = exportableCharts[chartKey];
+    const chart = entry && entry.chart();
+    if (!chart) return;
+
+    if (format === 'png') {
+        downloadDataUrl(`${entry.fileName}.png`, chartToPngDataUrl(chart));
+    } else if (format === 'svg') {
+        downloadFile(`${entry.fileName}.svg`, chartToSvg(chart), 'image/svg+xml');
+    } else if (format === 'csv') {
+        downloadFile(`${entry.fileName}.csv`, chartDataToCsv(chart), 'text/csv');
+    }
+}
+
+// ============================================
+// 3. EVENT HANDLERS
+// ============================================
+
+// The probability shown by the logit and comparison sections (and, when linked,
+// the simulation). Every control writes to the store; renderProbabilityState
+// is the only place that writes the value back to the page.
+const probabilityStore = createProbabilityStore(0);
+
+/**
+ * Formats a number for a number input without float noise (0.30000000000000004 -> 0.3)
+ */
+function inputNumber(value) {
+    return String(Number(value.toPrecision(15)));
+}
+
+/**
+ * Shows the shared probability in every linked view: value displays, editable inputs,
+ * both chart markers, the real-world example and (optionally) the simulation input
+ * @param {{logOdds: number, probability: number, complement: number, odds: number}} state - Store state
+ * @param {HTMLElement|null} source - The control being edited, which is left as typed
+ */
+function renderProbabilityState(state, source = null) {
+    const { logOdds, probability, complement, odds } = state;
+
+    // Value displays; 1 - p comes from the store so it survives when p rounds to 1
+    document.getElementById('logit-prob-value').textContent = formatProbability(probability, complement);
+    document.getElementById('logit-odds-value').textContent = formatCoefficient(odds);
+    document.getElementById('logit-value').textContent = formatCoefficient(logOdds);
+    document.getElementById('comp-prob-value').textContent = formatProbability(probability, complement);
+    document.getElementById('comp-odds-value').textContent = formatCoefficient(odds);
+
+    // Editable inputs, except the one being typed into
+    const slider = document.getElementById('logit-slider');
+    if (source !== slider) {
+        slider.value = Math.min(Math.max(probability, Number(slider.min)), Number(slider.max));
+    }
+    const inputValues = {
+        'logit-prob-input': probability,
+        'logit-odds-input': odds,
+        'logit-logodds-input': logOdds,
+        'comparison-input': probability,
+    };
+    if (document.getElementById('simulation-link-probability').checked) {
+        inputValues['simulation-probability'] = probability;
+        document.getElementById('sim-prob-display').textContent = formatProbability(probability, complement);
+    }
+    Object.entries(inputValues).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input === source) return;
+        input.value = inputNumber(value);
+        input.classList.remove('validation-error');
+    });
+
+    // Update chart markers
+    if (logitChart) {
+        logitChart.data.datasets[1].data = [{ x: probability, y: logOdds }];
+        logitChart.update('none');
+    }
+    if (comparisonChart) {
+        // Probability marker, then odds marker
+        comparisonChart.data.datasets[2].data = [{ x: probability, y: probability }];
+        comparisonChart.data.datasets[3].data = [{ x: probability, y: odds }];
+        comparisonChart.update('none');
+    }
+
+    // Update real-world example panel based on the selected probability
+    updateRealWorldExample(probability);
+}
+
+/**
+ * Sends an input's edits to the probability store, flagging values the store rejects
+ * (anything without finite log-odds, e.g. a probability of 0 or 1)
+ * @param {string} id - Input element id
+ * @param {function(number, HTMLElement): boolean} setValue - Store setter for the input's scale
+ */
+function bindProbabilityInput(id, setValue) {
+    const input = document.getElementById(id);
+    input.addEventListener('input', () => {
+        const accepted = setValue(parseFloat(input.value), input);
+        input.classList.toggle('validation-error', !accepted);
+    });
+}
+
+/**
+ * Lets the user click or drag along a chart to set the shared probability; the
+ * marker follows the store, so it always sits on the curve at the pointer's x
+ * @param {Chart} chart - Chart whose x axis is probability
+ */
+function enableMarkerDragging(chart) {
+    const canvas = chart.canvas;
+    let dragging = false;
+
+    const setFromPointer = (event) => {
+        const x = event.clientX - canvas.getBoundingClientRect().left;
+        probabilityStore.setProbability(probabilityAtPixel(chart, x), canvas);
+    };
+
+    canvas.addEventListener('pointerdown', (event) => {
+        const { left, right, top, bottom } = chart.chartArea;
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        if (x < left || x > right || y < top || y > bottom) return;
+        dragging = true;
+        canvas.setPointerCapture(event.pointerId);
+        setFromPointer(event);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (dragging) setFromPointer(event);
+    });
+    const stopDragging = () => {
+        if (!dragging) return;
+        dragging = false;
+        scheduleUrlStateWrite();
+    };
+    canvas.addEventListener('pointerup', stopDragging);
+    canvas.addEventListener('pointercancel', stopDragging);
+}
+
+/**
+ * Reads a probability range from two inputs, flagging them when the range is not
+ * strictly inside (0, 1) with min below max
+ * @returns {{min: number, max: number}|null} Range, or null when invalid
+ */
+function readProbabilityRange(minId, maxId) {
+    const minInput = document.getElementById(minId);
+    const maxInput = document.getElementById(maxId);
+    const min = parseFloat(minInput.value);
+    const max = parseFloat(maxInput.value);
+    const valid = min > 0 && max < 1 && min < max;
+    minInput.classList.toggle('validation-error', !valid);
+    maxInput.classList.toggle('validation-error', !valid);
+    return valid ? { min, max } : null;
+}
+
+/**
+ * Reads optional axis limits from two inputs; a blank input means automatic
+ * @param {function(number): boolean} isAllowed - Check for a typed limit (e.g. positive on a log axis)
+ * @returns {{min: (number|undefined), max: (number|undefined)}|null} Limits, or null when invalid
+ */
+function readAxisLimits(minId, maxId, isAllowed = Number.isFinite) {
+    const inputs = [document.getElementById(minId), document.getElementById(maxId)];
+    const [min, max] = inputs.map((input) => (input.value.trim() === '' ? undefined : parseFloat(input.value)));
+    const valid = [min, max].every((value) => value === undefined || (Number.isFinite(value) && isAllowed(value))) &&
+        !(min !== undefined && max !== undefined && min >= max);
+    inputs.forEach((input) => input.classList.toggle('validation-error', !valid));
+    return valid ? { min, max } : null;
+}
+
+/**
+ * Redraws the logit chart over the probability range and log-odds limits in its range controls
+ */
+function handleLogitRangeChange() {
+    const range = readProbabilityRange('logit-range-min', 'logit-range-max');
+    const limits = readAxisLimits('logit-y-min', 'logit-y-max');
+    if (!range || !limits || !logitChart) return;
+
+    logitChart.data.datasets[0].data = logitCurvePoints(range);
+    const { x, y } = logitChart.options.scales;
+    x.min = range.min;
+    x.max = range.max;
+    y.min = limits.min;
+    y.max = limits.max;
+    logitChart.update();
+}
+
+/**
+ * Redraws the comparison chart over the probability range, odds scale and odds limits in its range controls
+ */
+function handleComparisonRangeChange() {
+    const logarithmic = document.getElementById('odds-axis-scale').value === 'logarithmic';
+    const range = readProbabilityRange('comparison-range-min', 'comparison-range-max');
+    // A log axis cannot show 0 or negative odds
+    const limits = readAxisLimits('odds-axis-min', 'odds-axis-max', (value) => (logarithmic ? value > 0 : value >= 0));
+    if (!range || !limits || !comparisonChart) return;
+
+    const curves = comparisonCurvePoints(range);
+    comparisonChart.data.datasets[0].data = curves.probability;
+    comparisonChart.data.datasets[1].data = curves.odds;
+    const { x, y2 } = comparisonChart.options.scales;
+    x.min = range.min;
+    x.max = range.max;
+    y2.type = logarithmic ? 'logarithmic' : 'linear';
+    y2.min = limits.min;
+    y2.max = limits.max;
+    comparisonChart.update();
+}
+
+const MAX_SIMULATION_TRIALS = 100000000; // 10^8
+const MAX_SAMPLING_BINS = 120; // wider sampling distributions are grouped into bins
+
+let simulationWorker = null; // created on first run
+let simulationWorkerUnavailable = false; // e.g. browsers without module worker support
+let activeSimulation = null; // { jobId, job, onProgress, cancel } for the run in progress
+let lastSimulationResult = null; // latest (possibly partial) run, for CSV export
+let nextSimulationJobId = 1;
+
+/**
+ * Returns the shared simulation worker, or null if workers cannot be used
+ */
+function getSimulationWorker() {
+    if (simulationWorker || simulationWorkerUnavailable) return simulationWorker;
+    if (typeof Worker === 'undefined') {
+        simulationWorkerUnavailable = true;
+        return null;
+    }
+
+    try {
+        simulationWorker = new Worker('simulation-worker.js', { type: 'module' });
+    } catch (error) {
+        console.warn('Simulation worker unavailable, running on the main thread.', error);
+        simulationWorkerUnavailable = true;
+        return null;
+    }
+
+    simulationWorker.addEventListener('message', (event) => {
+        const progress = event.data;
+        // Ignore late messages from a cancelled or replaced run
+        if (!activeSimulation || progress.jobId !== activeSimulation.jobId) return;
+        handleSimulationProgress(progress);
+    });
+
+    // A worker that fails to load reports an error event; retry the run on the main thread
+    simulationWorker.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('Simulation worker failed, running on the main thread.', event.message);
+        simulationWorker.terminate();
+        simulationWorker = null;
+        simulationWorkerUnavailable = true;
+        if (activeSimulation) {
+            const { job, onProgress } = activeSimulation;
+            startSimulationJob(job, onProgress);
+        }
+    });
+
+    return simulationWorker;
+}
+
+/**
+ * Starts a simulation job (see simulation-engine.js) in the worker, or on the
+ * main thread as a fallback. Any run already in progress is cancelled.
+ * @param {Object} job - Job options for createSimulationJob
+ * @param {function(Object): void} onProgress - Called with each chunk's progress message
+ */
+function startSimulationJob(job, onProgress) {
+    cancelSimulation();
+
+    const jobId = nextSimulationJobId++;
+    activeSimulation = { jobId, job, onProgress, cancel: null };
+    setSimulationRunning(true);
+    updateSimulationProgress(0, job.kind === 'repeated' ? job.repetitions : job.n);
+
+    const worker = getSimulationWorker();
+    if (worker) {
+        worker.postMessage({ type: 'start', jobId, job });
+        activeSimulation.cancel = () => worker.postMessage({ type: 'cancel', jobId });
+    } else {
+        const run = runSimulationJob(job, (progress) => handleSimulationProgress({ ...progress, jobId }));
+        // The first chunk runs synchronously and may already have finished the job
+        if (activeSimulation && activeSimulation.jobId === jobId) {
+            activeSimulation.cancel = () => run.cancel();
+        }
+    }
+}
+
+/**
+ * Routes a progress message to the active run and tracks completion
+ */
+function handleSimulationProgress(progress) {
+    if (!activeSimulation || progress.jobId !== activeSimulation.jobId) return;
+
+    const { onProgress } = activeSimulation;
+    if (progress.done) {
+        activeSimulation = null;
+        setSimulationRunning(false);
+    }
+    onProgress(progress);
+    updateSimulationProgress(progress.completed, progress.total);
+}
+
+/**
+ * Cancels the simulation in progress, keeping whatever has been drawn so far
+ */
+function cancelSimulation() {
+    if (!activeSimulation) return;
+    if (activeSimulation.cancel) activeSimulation.cancel();
+    activeSimulation = null;
+    setSimulationRunning(false);
+    document.getElementById('sim-progress-text').textContent += ' (cancelled)';
+}
+
+/**
+ * Enables the cancel button while a run is in progress
+ */
+function setSimulationRunning(running) {
+    document.getElementById('cancel-simulation-btn').disabled = !running;
+}
+
+/**
+ * Updates the progress bar and "x / y" text
+ */
+function updateSimulationProgress(completed, total) {
+    document.getElementById('simulation-progress').value = total > 0 ? completed / total : 0;
+    document.getElementById('sim-progress-text').textContent =
+        `${completed.toLocaleString()} / ${total.toLocaleString()}`;
+}
+
+/**
+ * Writes the current success/failure counts to the stats panel and bar chart
+ * @param {number} successes - Successes so far
+ * @param {number} trials - Trials run so far
+ */
+function updateSimulationResults(successes, trials) {
+    const failures = trials - successes;
+    const rate = trials > 0 ? successes / trials : 0;
+
+    // Update DOM
+    document.getElementById('sim-successes').textContent = successes;
+    document.getElementById('sim-failures').textContent = failures;
+    document.getElementById('sim-rate').textContent = roundToThreeDecimals(rate);
+
+    // Update chart
+    if (simulationChart) {
+        simulationChart.data.datasets[0].data = [successes, failures];
+        // adjust y max slightly to fit
+        const maxVal = Math.max(successes, failures, 1);
+        simulationChart.options.scales.y.max = Math.ceil(maxVal * 1.1);
+        simulationChart.update('none');
+    }
+}
+
+/**
+ * A simulation result as CSV: the running rate at each checkpoint for a
+ * single run, or the number of experiments per success count for repeated runs
+ * @param {Object} result - lastSimulationResult
+ * @returns {string} CSV text
+ */
+function simulationResultToCsv(result) {
+    if (result.kind === 'single') {
+        const rows = [['seed', 'p', 'n', 'trial', 'successes', 'running_rate', 'wilson_lower', 'wilson_upper']];
+        result.checkpoints.forEach(([trial, successes]) => {
+            const interval = wilsonInterval(successes, trial);
+            rows.push([result.seed, result.p, result.n, trial, successes, successes / trial, interval.lower, interval.upper]);
+        });
+        return toCsv(rows);
+    }
+
+    const rows = [['seed', 'p', 'n', 'experiments', 'successes', 'success_rate', 'count', 'relative_frequency', 'binomial_probability']];
+    [...result.tally].sort((a, b) => a[0] - b[0]).forEach(([successes, count]) => {
+        rows.push([
+            result.seed, result.p, result.n, result.completed, successes, successes / result.n,
+            count, count / result.completed, binomialPmf(successes, result.n, result.p),
+        ]);
+    });
+    return toCsv(rows);
+}
+
+/**
+ * Downloads the latest simulation result as CSV
+ */
+function exportSimulationCsv() {
+    if (!lastSimulationResult) return;
+    downloadFile(
+        `simulation-${lastSimulationResult.kind}-${fileNameSafe(lastSimulationResult.seed)}.csv`,
+        simulationResultToCsv(lastSimulationResult),
+        'text/csv'
+    );
+}
+
+/**
+ * Clears the convergence chart and sizes it for a run of `n` trials at probability `p`
+ */
+function resetConvergenceChart(p, n) {
+    if (!convergenceChart) return;
+    const datasets = convergenceChart.data.datasets;
+    datasets[0].data = [];
+    datasets[1].data = [{ x: 1, y: p }, { x: n, y: p }];
+    datasets[2].data = [];
+    datasets[3].data = [];
+    convergenceChart.options.scales.x.max = n;
+    convergenceChart.update('none');
+}
+
+/**
+ * Runs a simulation with `n` trials using probability `p`.
+ * Trials run in chunks (in a Web Worker when available) and each chunk
+ * updates DOM elements, the simulation chart and the convergence chart.
+ * The same `seed` always reproduces the same trials.
+ */
+function runSimulation(p, n, seed) {
+    // Ensure p is in (0,1)
+    p = Math.min(Math.max(p, 0), 1);
+
+    resetConvergenceChart(p, n);
+    lastSimulationResult = { kind: 'single', p, n, seed, completed: 0, checkpoints: [] };
+    document.getElementById('export-simulation-csv-btn').disabled = false;
+
+    startSimulationJob({ kind: 'single', p, n, seed }, (progress) => {
+        lastSimulationResult.completed = progress.completed;
+        lastSimulationResult.checkpoints.push(...progress.checkpoints);
+        if (convergenceChart) {
+            const datasets = convergenceChart.data.datasets;
+            progress.checkpoints.forEach(([trial, successes]) => {
+                const interval = wilsonInterval(successes, trial);
+                datasets[0].data.push({ x: trial, y: successes / trial });
+                datasets[2].data.push({ x: trial, y: interval.upper });
+                datasets[3].data.push({ x: trial, y: interval.lower });
+            });
+            convergenceChart.update('none');
+        }
+        updateSimulationResults(progress.successes, progress.completed);
+    });
+}
+
+/**
+ * Range of success counts worth plotting for Binomial(n, p): mean ± 4 SD,
+ * clamped to [0, n]
+ */
+function samplingRange(n, p) {
+    const mean = n * p;
+    const sd = Math.sqrt(n * p * (1 - p));
+    return {
+        min: Math.max(0, Math.floor(mean - 4 * sd) - 1),
+        max: Math.min(n, Math.ceil(mean + 4 * sd) + 1),
+    };
+}
+
+/**
+ * Groups the plotted range of success counts into at most MAX_SAMPLING_BINS
+ * bins and precomputes each bin's label and theoretical probabilities
+ * @param {number} n - Trials per experiment
+ * @param {number} p - Success probability
+ * @param {boolean} showRates - Label bins as rates k/n instead of counts k
+ * @returns {{min: number, max: number, width: number, labels: Array, pmf: number[], normal: number[]}}
+ */
+function buildSamplingBins(n, p, showRates) {
+    const range = samplingRange(n, p);
+    const width = Math.max(1, Math.ceil((range.max - range.min + 1) / MAX_SAMPLING_BINS));
+    const mean = n * p;
+    const sd = Math.sqrt(n * p * (1 - p));
+    const formatK = (k) => (showRates ? roundToThreeDecimals(k / n) : k);
+
+    const labels = [];
+    const pmf = [];
+    const normal = [];
+    for (let start = range.min; start <= range.max; start += width) {
+        const end = Math.min(start + width - 1, range.max);
+        labels.push(width === 1 ? formatK(start) : `${formatK(start)}–${formatK(end)}`);
+
+        let binProbability = 0;
+        for (let k = start; k <= end; k++) {
+            binProbability += binomialPmf(k, n, p);
+        }
+        pmf.push(binProbability);
+
+        // Density at the bin center times bin width approximates the bin probability
+        normal.push(sd > 0 ? normalPdf((start + end) / 2, mean, sd) * (end - start + 1) : null);
+    }
+
+    return { min: range.min, max: range.max, width, labels, pmf, normal };
+}
+
+/**
+ * Redraws the sampling distribution chart from a tally of success counts
+ * @param {Object} bins - Bins from buildSamplingBins
+ * @param {Array<[number, number]>} tally - [k, number of experiments with k successes] pairs
+ * @param {number} experiments - Number of experiments run so far
+ * @param {boolean} showRates - Whether bins are labelled as rates
+ */
+function updateSamplingChart(bins, tally, experiments, showRates) {
+    if (!samplingChart) return;
+
+    const observed = new Array(bins.labels.length).fill(0);
+    tally.forEach(([k, count]) => {
+        // Rare outliers beyond the plotted range are counted in the edge bins
+        const clamped = Math.min(Math.max(k, bins.min), bins.max);
+        observed[Math.floor((clamped - bins.min) / bins.width)] += count;
+    });
+
+    samplingChart.data.labels = bins.labels;
+    samplingChart.data.datasets[0].data = observed.map((count) => (experiments > 0 ? count / experiments : 0));
+    samplingChart.data.datasets[1].data = bins.pmf;
+    samplingChart.data.datasets[2].data = bins.normal;
+    samplingChart.options.scales.x.title.text = showRates ? 'Success Rate per Experiment' : 'Successes per Experiment';
+    samplingChart.update('none');
+}
+
+/**
+ * Writes summary statistics of the observed sampling distribution of the rate
+ */
+function updateSamplingStats(sumRates, sumSquaredRates, experiments, p, n) {
+    const meanRate = experiments > 0 ? sumRates / experiments : 0;
+    const variance = experiments > 1
+        ? (sumSquaredRates - experiments * meanRate * meanRate) / (experiments - 1)
+        : 0;
+
+    document.getElementById('sampling-experiments').textContent = experiments;
+    document.getElementById('sampling-mean').textContent = roundToThreeDecimals(meanRate);
+    document.getElementById('sampling-sd').textContent = roundToThreeDecimals(Math.sqrt(Math.max(variance, 0)));
+    document.getElementById('sampling-sd-theory').textContent = roundToThreeDecimals(Math.sqrt((p * (1 - p)) / n));
+}
+
+/**
+ * Repeats an n-trial experiment `repetitions` times and builds the sampling
+ * distribution of the success count chunk by chunk (in a Web Worker when available).
+ * The same `seed` always reproduces the same experiments.
+ */
+function runRepeatedSimulation(p, n, repetitions, seed, showRates = false) {
+    p = Math.min(Math.max(p, 0), 1);
+
+    const bins = buildSamplingBins(n, p, showRates);
+    updateSamplingChart(bins, [], 0, showRates);
+    lastSimulationResult = { kind: 'repeated', p, n, repetitions, seed, completed: 0, tally: [] };
+    document.getElementById('export-simulation-csv-btn').disabled = false;
+
+    startSimulationJob({ kind: 'repeated', p, n, repetitions, seed }, (progress) => {
+        lastSimulationResult.completed = progress.completed;
+        lastSimulationResult.tally = progress.tally;
+        updateSamplingChart(bins, progress.tally, progress.completed, showRates);
+        updateSamplingStats(progress.sumRates, progress.sumSquaredRates, progress.completed, p, n);
+    });
+}
+
+/**
+ * Shows the controls and chart for the selected simulation mode
+ */
+function handleSimulationModeChange() {
+    const repeated = document.getElementById('simulation-mode').value === 'repeated';
+    document.getElementById('repeated-controls').style.display = repeated ? 'flex' : 'none';
+    document.getElementById('sampling-panel').style.display = repeated ? 'block' : 'none';
+    document.getElementById('single-run-panel').style.display = repeated ? 'none' : 'block';
+}
+
+const MAX_CATEGORICAL_TRIALS = 1000000;
+
+// Preset outcome sets for the categorical simulator
+const categoricalPresets = {
+    die: [1, 2, 3, 4, 5, 6].map((face) => ({ label: String(face), probability: '1/6' })),
+    coin: [
+        { label: 'Heads', probability: '0.5' },
+        { label: 'Tails', probability: '0.5' },
+    ],
+    spinner: [
+        { label: 'Red', probability: '0.5' },
+        { label: 'Blue', probability: '0.3' },
+        { label: 'Green', probability: '0.2' },
+    ],
+    'loaded-die': [
+        { label: '1', probability: '0.1' },
+        { label: '2', probability: '0.1' },
+        { label: '3', probability: '0.1' },
+        { label: '4', probability: '0.1' },
+        { label: '5', probability: '0.1' },
+        { label: '6', probability: '0.5' },
+    ],
+};
+
+/**
+ * Appends an editable outcome row (label + probability) to the outcomes list
+ */
+function addCategoricalOutcomeRow(label = '', probability = '') {
+    const list = document.getElementById('categorical-outcomes');
+    const row = document.createElement('div');
+    row.className = 'categorical-row';
+    row.innerHTML = `
+        <input type="text" class="question-input categorical-label" placeholder="Outcome" aria-label="Outcome label">
+        <input type="text" class="question-input categorical-probability" placeholder="e.g. 0.25 or 1/4" aria-label="Outcome probability">
+        <button type="button" class="btn-secondary categorical-remove" aria-label="Remove outcome">✕</button>
+    `;
+    row.querySelector('.categorical-label').value = label;
+    row.querySelector('.categorical-probability').value = probability;
+    row.querySelector('.categorical-remove').addEventListener('click', () => {
+        row.remove();
+        validateCategoricalOutcomes();
+    });
+    row.querySelector('.categorical-probability').addEventListener('input', validateCategoricalOutcomes);
+    list.appendChild(row);
+}
+
+/**
+ * Replaces the outcome rows with a preset
+ * @param {string} presetName - Key of categoricalPresets
+ */
+function loadCategoricalPreset(presetName) {
+    const preset = categoricalPresets[presetName];
+    if (!preset) return;
+    document.getElementById('categorical-outcomes').innerHTML = '';
+    preset.forEach((outcome) => addCategoricalOutcomeRow(outcome.label, outcome.probability));
+    validateCategoricalOutcomes();
+}
+
+/**
+ * Reads and validates the outcome rows.
+ * Probabilities must be in [0, 1] and sum to 1 (within 0.001, then normalized).
+ * Also updates the validation message under the outcomes list.
+ * @returns {{labels: string[], probabilities: number[]} | null} Outcomes, or null when invalid
+ */
+function validateCategoricalOutcomes() {
+    const rows = Array.from(document.querySelectorAll('#categorical-outcomes .categorical-row'));
+    const messageEl = document.getElementById('categorical-validation');
+    const labels = [];
+    const probabilities = [];
+    let error = '';
+
+    rows.forEach((row, index) => {
+        const label = row.querySelector('.categorical-label').value.trim() || `Outcome ${index + 1}`;
+        const probability = parseFractionOrNumber(row.querySelector('.categorical-probability').value);
+        if (!error && (isNaN(probability) || probability < 0 || probability > 1)) {
+            error = `"${label}" needs a probability between 0 and 1.`;
+        }
+        labels.push(label);
+        probabilities.push(probability);
+    });
+
+    const sum = probabilities.reduce((total, probability) => total + probability, 0);
+    if (!error && rows.length < 2) {
+        error = 'Add at least two outcomes.';
+    } else if (!error && Math.abs(sum - 1) > 0.001) {
+        error = `Probabilities sum to ${roundToThreeDecimals(sum)}; they must sum to 1.`;
+    }
+
+    messageEl.textContent = error || `Probabilities sum to 1 across ${rows.length} outcomes.`;
+    messageEl.classList.toggle('validation-error', Boolean(error));
+    if (error) return null;
+
+    return { labels, probabilities: probabilities.map((probability) => probability / sum) };
+}
+
+/**
+ * Runs the categorical simulation and shows observed vs expected counts
+ * with a chi-square goodness-of-fit test
+ */
+function runCategoricalSimulation() {
+    const outcomes = validateCategoricalOutcomes();
+    if (!outcomes) return;
+
+    const trialsInput = document.getElementById('categorical-trials');
+    let n = parseInt(trialsInput.value, 10) || 600;
+    n = Math.min(Math.max(n, 1), MAX_CATEGORICAL_TRIALS);
+    trialsInput.value = n;
+
+    const observed = simulateCategorical(
+        outcomes.probabilities,
+        n,
+        createSeededRandom(`${currentSeed}:categorical`)
+    );
+    const expected = outcomes.probabilities.map((probability) => probability * n);
+
+    // Chi-square goodness of fit; outcomes with zero probability carry no information
+    let statistic = 0;
+    let df = -1;
+    const contributions = observed.map((count, index) => {
+        if (expected[index] === 0) return 0;
+        df++;
+        const contribution = (count - expected[index]) ** 2 / expected[index];
+        statistic += contribution;
+        return contribution;
+    });
+    const pValue = df > 0 ? chiSquarePValue(statistic, df) : 1;
+
+    // Results table
+    const tbody = document.getElementById('categorical-results-body');
+    tbody.innerHTML = '';
+    outcomes.labels.forEach((label, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${roundToThreeDecimals(outcomes.probabilities[index])}</td>
+            <td>${observed[index]}</td>
+            <td>${roundToThreeDecimals(expected[index])}</td>
+            <td>${roundToThreeDecimals(contributions[index])}</td>
+        `;
+        row.firstElementChild.textContent = label;
+        tbody.appendChild(row);
+    });
+
+    document.getElementById('chi-square-statistic').textContent = roundToThreeDecimals(statistic);
+    document.getElementById('chi-square-df').textContent = df;
+    document.getElementById('chi-square-p').textContent = pValue < 0.001 ? '< 0.001' : roundToThreeDecimals(pValue);
+
+    const smallExpected = expected.some((value) => value > 0 && value < 5);
+    document.getElementById('categorical-warning').textContent = smallExpected
+        ? 'Some expected counts are below 5, so the chi-square p-value is only approximate. Try more trials.'
+        : '';
+
+    if (categoricalChart) {
+        categoricalChart.data.labels = outcomes.labels;
+        categoricalChart.data.datasets[0].data = observed;
+        categoricalChart.data.datasets[1].data = expected;
+        categoricalChart.update();
+    }
+}
+
+// Example data: hours studied (x) vs passed the exam (y)
+const regressionExampleData = `0.5, 0
+0.75, 0
+1.0, 0
+1.25, 0
+1.5, 0
+1.75, 0
+1.75, 1
+2.0, 0
+2.25, 1
+2.5, 0
+2.75, 1
+3.0, 0
+3.25, 1
+3.5, 0
+4.0, 1
+4.25, 1
+4.5, 1
+4.75, 1
+5.0, 1
+5.5, 1`;
+
+/**
+ * Fits the model to the textarea data and updates the chart and explanation
+ */
+function handleRegressionFit() {
+    const messageEl = document.getElementById('regression-message');
+    const { xs, ys, error } = parseRegressionData(document.getElementById('regression-data').value);
+    messageEl.classList.toggle('validation-error', Boolean(error));
+    if (error) {
+        messageEl.textContent = error;
+        return;
+    }
+
+    const fit = fitLogisticRegression(xs, ys);
+    const oddsRatio = Math.exp(fit.slope);
+    const oddsChangePct = (oddsRatio - 1) * 100;
+
+    document.getElementById('regression-intercept').textContent = formatCoefficient(fit.intercept);
+    document.getElementById('regression-slope').textContent = formatCoefficient(fit.slope);
+    document.getElementById('regression-odds-ratio').textContent = formatCoefficient(oddsRatio);
+    document.getElementById('regression-log-likelihood').textContent = formatCoefficient(fit.logLikelihood);
+
+    messageEl.textContent = fit.separated
+        ? 'The two classes are perfectly separated, so the best-fitting slope is infinite. The estimates below are where fitting stopped and are not meaningful on their own.'
+        : `Fitted ${xs.length} points in ${fit.iterations} iterations${fit.converged ? '' : ' (did not fully converge)'}.`;
+    messageEl.classList.toggle('validation-error', fit.separated);
+
+    const direction = fit.slope >= 0 ? 'increases' : 'decreases';
+    const midpoint = fit.slope !== 0 ? -fit.intercept / fit.slope : NaN;
+    const explanation = [
+        `Model: log-odds(y = 1) = ${formatCoefficient(fit.intercept)} + ${formatCoefficient(fit.slope)}·x, so p = e^(log-odds) / (1 + e^(log-odds)).`,
+        `Intercept: at x = 0 the log-odds are ${formatCoefficient(fit.intercept)}, i.e. odds of ${formatCoefficient(Math.exp(fit.intercept))} and p = ${formatCoefficient(logOddsToProbability(fit.intercept))}.`,
+        `Slope: each 1-unit increase in x ${direction} the log-odds by ${formatCoefficient(Math.abs(fit.slope))} — an additive step on the logit scale.`,
+        `Odds ratio: the same step multiplies the odds by e^${formatCoefficient(fit.slope)} = ${formatCoefficient(oddsRatio)} (${oddsChangePct >= 0 ? '+' : ''}${formatCoefficient(oddsChangePct)}% odds per unit x). The change in probability is not constant — it is largest near p = 0.5.`,
+    ];
+    if (isFinite(midpoint)) {
+        explanation.push(`The curve crosses p = 0.5 (log-odds 0) at x = −β₀/β₁ = ${formatCoefficient(midpoint)}.`);
+    }
+    const explanationEl = document.getElementById('regression-explanation');
+    explanationEl.innerHTML = '';
+    explanation.forEach((sentence) => {
+        const p = document.createElement('p');
+        p.textContent = sentence;
+        explanationEl.appendChild(p);
+    });
+
+    if (regressionChart) {
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const padding = (maxX - minX) * 0.1 || 1;
+        const curve = [];
+        const steps = 100;
+        for (let i = 0; i <= steps; i++) {
+            const x = minX - padding + ((maxX - minX + 2 * padding) * i) / steps;
+            curve.push({ x, y: logOddsToProbability(fit.intercept + fit.slope * x) });
+        }
+
+        regressionChart.data.datasets[0].data = xs.map((x, i) => ({ x, y: ys[i] }));
+        regressionChart.data.datasets[1].data = curve;
+        regressionChart.data.datasets[2].data =
+            isFinite(midpoint) && midpoint >= minX - padding && midpoint <= maxX + padding
+                ? [{ x: midpoint, y: 0.5 }]
+                : [];
+        regressionChart.update();
+    }
+}
+
+/**
+ * Reads the 2×2 table, shows per-group and comparison measures, and marks
+ * both groups on the logit and comparison charts
+ */
+function handleTwoByTwoChange() {
+    const cellIds = ['table-a', 'table-b', 'table-c', 'table-d'];
+    const cells = cellIds.map((id) => Number(document.getElementById(id).value));
+    const messageEl = document.getElementById('table-message');
+
+    const invalid = cells.some((value) => !Number.isInteger(value) || value < 0);
+    const emptyGroup = cells[0] + cells[1] === 0 || cells[2] + cells[3] === 0;
+    if (invalid || emptyGroup) {
+        messageEl.textContent = invalid
+            ? 'Enter whole-number counts (0 or more) in every cell.'
+            : 'Each group needs at least one observation.';
+        messageEl.classList.add('validation-error');
+        setGroupMarkers(null, null);
+        return;
+    }
+
+    const nameA = document.getElementById('group-a-name').value.trim() || 'Group A';
+    const nameB = document.getElementById('group-b-name').value.trim() || 'Group B';
+    const result = twoByTwoMeasures(...cells);
+
+    // Per-group rows
+    [['a', result.groupA], ['b', result.groupB]].forEach(([key, group]) => {
+        document.getElementById(`group-${key}-n`).textContent = group.n;
+        document.getElementById(`group-${key}-prob`).textContent = formatCoefficient(group.probability);
+        document.getElementById(`group-${key}-odds`).textContent = formatCoefficient(group.odds);
+        document.getElementById(`group-${key}-logodds`).textContent = formatCoefficient(group.logOdds);
+    });
+    document.getElementById('group-a-label').textContent = nameA;
+    document.getElementById('group-b-label').textContent = nameB;
+
+    // Effect measures with 95% CIs
+    const formatInterval = (measure) =>
+        `${formatCoefficient(measure.estimate)} (${formatCoefficient(measure.lower)} to ${formatCoefficient(measure.upper)})`;
+    document.getElementById('measure-odds-ratio').textContent = formatInterval(result.oddsRatio);
+    document.getElementById('measure-log-odds-ratio').textContent = formatInterval(result.logOddsRatio);
+    document.getElementById('measure-relative-risk').textContent = formatInterval(result.relativeRisk);
+    document.getElementById('measure-risk-difference').textContent = formatInterval(result.riskDifference);
+
+    messageEl.textContent = result.corrected
+        ? 'A cell is zero, so 0.5 was added to every cell for the odds ratio and relative risk.'
+        : `Log odds ratio = log-odds(${nameA}) − log-odds(${nameB}) = ${formatCoefficient(result.groupA.logOdds)} − ${formatCoefficient(result.groupB.logOdds)}.`;
+    messageEl.classList.remove('validation-error');
+
+    setGroupMarkers(
+        { label: nameA, probability: result.groupA.probability },
+        { label: nameB, probability: result.groupB.probability }
+    );
+}
+
+/**
+ * Places (or clears, when null) the two group markers on the logit and comparison charts
+ * @param {{label: string, probability: number}|null} groupA
+ * @param {{label: string, probability: number}|null} groupB
+ */
+function setGroupMarkers(groupA, groupB) {
+    [groupA, groupB].forEach((group, offset) => {
+        if (logitChart) {
+            const dataset = logitChart.data.datasets[2 + offset];
+            // Log-odds are infinite at p = 0 or 1, which cannot be plotted
+            const logOdds = group ? probabilityToLogOdds(group.probability) : NaN;
+            dataset.data = group && isFinite(logOdds) ? [{ x: group.probability, y: logOdds }] : [];
+            if (group) dataset.label = group.label;
+        }
+        if (comparisonChart) {
+            const dataset = comparisonChart.data.datasets[4 + offset];
+            // Odds are infinite at p = 1, which cannot be plotted
+            const odds = group ? probabilityToOdds(group.probability) : NaN;
+            dataset.data = group && isFinite(odds) ? [{ x: group.probability, y: odds }] : [];
+            if (group) dataset.label = group.label;
+        }
+    });
+    if (logitChart) logitChart.update();
+    if (comparisonChart) comparisonChart.update();
+}
+
+// Evidence applied in the Bayesian updating panel, in order: { label, likelihoodRatio }
+let bayesEvidence = [];
+
+/**
+ * Shows the likelihood-ratio or diagnostic-test inputs for the chosen evidence type
+ */
+function handleBayesEvidenceTypeChange() {
+    const isTest = document.getElementById('bayes-evidence-type').value === 'test';
+    document.getElementById('bayes-lr-fields').style.display = isTest ? 'none' : 'flex';
+    document.getElementById('bayes-test-fields').style.display = isTest ? 'flex' : 'none';
+}
+
+/**
+ * Reads the evidence form and appends a likelihood ratio to the update chain
+ */
+function addBayesEvidence() {
+    const messageEl = document.getElementById('bayes-message');
+    const isTest = document.getElementById('bayes-evidence-type').value === 'test';
+    let likelihoodRatio;
+    let label = document.getElementById('bayes-evidence-label').value.trim();
+
+    if (isTest) {
+        const sensitivity = parseFloat(document.getElementById('bayes-sensitivity').value);
+        const specificity = parseFloat(document.getElementById('bayes-specificity').value);
+        const positive = document.getElementById('bayes-test-result').value === 'positive';
+        if (!(sensitivity > 0 && sensitivity < 1 && specificity > 0 && specificity < 1)) {
+            messageEl.textContent = 'Sensitivity and specificity must be strictly between 0 and 1.';
+            messageEl.classList.add('validation-error');
+            return;
+        }
+        likelihoodRatio = likelihoodRatioFromTest(sensitivity, specificity, positive);
+        label = label || `${positive ? 'Positive' : 'Negative'} test (sens ${sensitivity}, spec ${specificity})`;
+    } else {
+        likelihoodRatio = parseFractionOrNumber(document.getElementById('bayes-lr').value);
+        if (!(likelihoodRatio > 0) || !isFinite(likelihoodRatio)) {
+            messageEl.textContent = 'A likelihood ratio must be a positive number.';
+            messageEl.classList.add('validation-error');
+            return;
+        }
+        label = label || `Evidence with LR ${formatCoefficient(likelihoodRatio)}`;
+    }
+
+    messageEl.classList.remove('validation-error');
+    bayesEvidence.push({ label, likelihoodRatio });
+    document.getElementById('bayes-evidence-label').value = '';
+    updateBayesPanel();
+}
+
+/**
+ * Recomputes the update chain, redraws the steps table and moves the marker along the logit curve
+ */
+function updateBayesPanel() {
+    const messageEl = document.getElementById('bayes-message');
+    const prior = parseFloat(document.getElementById('bayes-prior').value);
+    if (!(prior > 0 && prior < 1)) {
+        messageEl.textContent = 'The prior probability must be strictly between 0 and 1.';
+        messageEl.classList.add('validation-error');
+        return;
+    }
+
+    const steps = bayesianUpdateSteps(prior, bayesEvidence.map((evidence) => evidence.likelihoodRatio));
+
+    const tbody = document.getElementById('bayes-steps-body');
+    tbody.innerHTML = '';
+    steps.forEach((step, index) => {
+        const evidence = bayesEvidence[index - 1];
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index}</td>
+            <td></td>
+            <td>${evidence ? `× ${formatCoefficient(evidence.likelihoodRatio)}` : '—'}</td>
+            <td>${evidence ? `${step.logLikelihoodRatio >= 0 ? '+' : '−'} ${formatCoefficient(Math.abs(step.logLikelihoodRatio))}` : '—'}</td>
+            <td>${formatCoefficient(step.logOdds)}</td>
+            <td>${formatCoefficient(step.odds)}</td>
+            <td>${formatCoefficient(step.probability)}</td>
+            <td></td>
+        `;
+        row.children[1].textContent = evidence ? evidence.label : 'Prior';
+        if (evidence) {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-secondary bayes-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.setAttribute('aria-label', `Remove ${evidence.label}`);
+            removeBtn.addEventListener('click', () => {
+                bayesEvidence.splice(index - 1, 1);
+                updateBayesPanel();
+            });
+            row.lastElementChild.appendChild(removeBtn);
+        }
+        tbody.appendChild(row);
+    });
+
+    const last = steps[steps.length - 1];
+    messageEl.classList.remove('validation-error');
+    messageEl.textContent = bayesEvidence.length === 0
+        ? 'Add evidence to update the prior.'
+        : `Posterior log-odds = ${formatCoefficient(steps[0].logOdds)} + ${bayesEvidence.length === 1 ? 'ln(LR)' : 'Σ ln(LR)'} = ${formatCoefficient(last.logOdds)}; ` +
+          `posterior odds = ${formatCoefficient(steps[0].odds)} × ${bayesEvidence.length === 1 ? 'LR' : 'Π LR'} = ${formatCoefficient(last.odds)}; ` +
+          `posterior probability = ${formatCoefficient(last.probability)}.`;
+
+    // Marker path on the logit curve: small points for earlier steps, a large one for the current posterior
+    if (logitChart) {
+        const dataset = logitChart.data.datasets[4];
+        const plotted = steps.filter((step) => isFinite(step.logOdds));
+        dataset.data = plotted.map((step) => ({ x: step.probability, y: step.logOdds }));
+        dataset.pointRadius = plotted.map((step, index) => (index === plotted.length - 1 ? 9 : 4));
+        logitChart.update();
+    }
+}
+
+// Example bookmaker market (three-way football match)
+const bettingMarketExample = `Home, 2.10
+Draw, 3.40
+Away, 3.60`;
+
+/**
+ * Converts the odds typed in the converter into every other format
+ */
+function handleOddsConverterChange() {
+    const messageEl = document.getElementById('odds-converter-message');
+    const parsed = parseBettingOdds(
+        document.getElementById('odds-converter-input').value,
+        document.getElementById('odds-converter-format').value
+    );
+
+    const outputIds = ['fractional', 'decimal', 'american', 'against', 'percentage', 'odds-in-favor'];
+    if (!parsed) {
+        outputIds.forEach((id) => {
+            document.getElementById(`odds-out-${id}`).textContent = '—';
+        });
+        messageEl.textContent = 'Enter odds such as 5/2, 3.50, +250, 5:2 against or 28.6%.';
+        messageEl.classList.add('validation-error');
+        return;
+    }
+
+    const formats = probabilityToBettingOdds(parsed.probability);
+    document.getElementById('odds-out-fractional').textContent = formats.fractional;
+    document.getElementById('odds-out-decimal').textContent = formats.decimal;
+    document.getElementById('odds-out-american').textContent = formats.american;
+    document.getElementById('odds-out-against').textContent = `${formats.against} against`;
+    document.getElementById('odds-out-percentage').textContent = formats.percentage;
+    document.getElementById('odds-out-odds-in-favor').textContent = formatCoefficient(formats.oddsInFavor);
+
+    messageEl.textContent = `Read as ${parsed.format} odds: implied probability p = ${roundToThreeDecimals(parsed.probability)}.`;
+    messageEl.classList.remove('validation-error');
+}
+
+/**
+ * Reads "outcome, price" lines and shows implied and margin-free probabilities
+ */
+function handleBettingMarketChange() {
+    const messageEl = document.getElementById('betting-market-message');
+    const tbody = document.getElementById('betting-market-body');
+    tbody.innerHTML = '';
+
+    const outcomes = [];
+    const lines = document.getElementById('betting-market-input').value.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (line === '') continue;
+        const separator = line.lastIndexOf(',');
+        const label = separator >= 0 ? line.slice(0, separator).trim() : `Outcome ${outcomes.length + 1}`;
+        const parsed = parseBettingOdds(separator >= 0 ? line.slice(separator + 1) : line);
+        if (!parsed) {
+            messageEl.textContent = `Line ${i + 1}: could not read the price.`;
+            messageEl.classList.add('validation-error');
+            return;
+        }
+        outcomes.push({ label, probability: parsed.probability });
+    }
+
+    if (outcomes.length < 2) {
+        messageEl.textContent = 'Enter at least two outcomes, one "outcome, price" per line.';
+        messageEl.classList.add('validation-error');
+        return;
+    }
+
+    const market = removeOverround(outcomes.map((outcome) => outcome.probability));
+    outcomes.forEach((outcome, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td></td>
+            <td>${roundToThreeDecimals(outcome.probability)}</td>
+            <td>${roundToThreeDecimals(market.fair[index])}</td>
+            <td>${probabilityToBettingOdds(market.fair[index]).decimal}</td>
+        `;
+        row.firstElementChild.textContent = outcome.label;
+        tbody.appendChild(row);
+    });
+
+    messageEl.textContent = `Implied probabilities sum to ${roundToThreeDecimals(market.booksum)}, an overround (bookmaker margin) of ${roundToThreeDecimals(market.overround * 100)}%. Fair probabilities divide each implied probability by ${roundToThreeDecimals(market.booksum)}.`;
+    messageEl.classList.remove('validation-error');
+}
+
+// ============================================
+// 4. PRACTICE QUESTIONS
+// ============================================
+
+let questionGenerator = null; // will be initialized in initializeApp()
+let currentSeed = null; // shared by question generation and the simulation
+
+/**
+ * Renders a generator's questions to the DOM
+ * @param {ConceptualQuestionGenerator} generator - Generator holding the questions
+ */
+function renderQuestions(generator) {
+    const container = document.getElementById('questions-container');
+    container.innerHTML = '';
+
+    generator.questions.forEach((question, index) => {
+        const definition = ConceptualQuestionGenerator.getQuestionType(question.type);
+        const questionElement = document.createElement('div');
+        questionElement.className = 'question-item';
+        questionElement.innerHTML = `
+            <span class="question-text">${index + 1}. ${escapeHtml(question.text)}</span>
+            ${definition.renderInput(question)}
+            <button type="button" id="hint-btn-${index}" class="btn-secondary hint-btn"></button>
+            <ol id="hints-${index}" class="hint-steps" aria-live="polite"></ol>
+            <div id="feedback-${index}" class="small-hint" aria-live="polite"></div>
+        `;
+        container.appendChild(questionElement);
+
+        const hintButton = questionElement.querySelector(`#hint-btn-${index}`);
+        hintButton.addEventListener('click', () => {
+            const step = generator.revealHint(index);
+            if (step === null) return;
+            const item = document.createElement('li');
+            item.textContent = step;
+            document.getElementById(`hints-${index}`).appendChild(item);
+            updateHintButton(generator, index, hintButton);
+        });
+        updateHintButton(generator, index, hintButton);
+    });
+}
+
+/**
+ * Labels a question's hint button with how many steps remain
+ * @param {ConceptualQuestionGenerator} generator - Generator holding the question
+ * @param {number} index - Question index
+ * @param {HTMLButtonElement} button - The question's hint button
+ */
+function updateHintButton(generator, index, button) {
+    const total = generator.answers[index].steps.length;
+    const used = generator.hintsUsed[index];
+    button.disabled = used >= total;
+    if (used === 0) button.textContent = `Hint (${total} step${total === 1 ? '' : 's'})`;
+    else if (used < total) button.textContent = `Next hint (${used + 1} of ${total})`;
+    else button.textContent = 'All steps shown';
+}
 
-        this.answers.push({
-            question: `If probability = ${probability}, what is the log-odds (logit)?`,
-            answer: roundedLogOdds,
-            formula: `log-odds = ln(${probability} / (1 - ${probability})) = ln(${roundToThreeDecimals(probability / (1 - probability))}) = ${roundedLogOdds}`,
-        });
+/**
+ * Renders a generator's answer key to the DOM
+ * @param {ConceptualQuestionGenerator} generator - Generator holding the answers
+ */
+function renderAnswerKey(generator) {
+    const container = document.getElementById('answer-key-container');
+    container.innerHTML = '<h3>Answer Key</h3>';
+
+    generator.answers.forEach((answer, index) => {
+        const answerElement = document.createElement('div');
+        answerElement.className = 'answer-item';
+        answerElement.innerHTML = `
+            <strong>Question ${index + 1}:</strong> ${escapeHtml(answer.question)}<br>
+            <strong>Answer:</strong> ${escapeHtml(answer.answer)}<br>
+            <strong>Worked solution:</strong>
+            <ol class="solution-steps">${answer.steps.map((step) => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+        `;
+        container.appendChild(answerElement);
+    });
+}
+
+/**
+ * Compares student answers to answer key and updates feedback
+ * @param {Object} details - Extra fields stored with the submission (e.g. exam timing)
+ * @returns {Object|undefined} The recorded submission
+ */
+function checkSubmittedAnswers(details = {}) {
+    if (!questionGenerator) return;
+
+    let totalScore = 0; // partial credit counts as a fraction of a question
+    let totalHints = 0;
+    const total = questionGenerator.answers.length;
+    const results = []; // one entry per question, recorded in the progress history
+
+    questionGenerator.answers.forEach((ansObj, idx) => {
+        const q = questionGenerator.questions[idx];
+        const definition = ConceptualQuestionGenerator.getQuestionType(q.type);
+        const feedbackEl = document.getElementById(`feedback-${idx}`);
+        const questionItem = feedbackEl?.closest('.question-item');
+        if (!feedbackEl || !questionItem || !definition) return;
+
+        const expected = ansObj.answer;
+        const userRaw = definition.readAnswer(q, questionItem);
+        const { score, correct, feedback } = normalizeGrade(definition.grade(userRaw, ansObj, q));
+        const hintsUsed = questionGenerator.hintsUsed[idx] || 0;
+        totalScore += score;
+        totalHints += hintsUsed;
+
+        questionItem.classList.remove('answer-correct', 'answer-partial', 'answer-incorrect');
+        if (correct) {
+            questionItem.classList.add('answer-correct');
+            feedbackEl.textContent = hintsUsed > 0 ? `Correct (with ${hintsUsed} hint${hintsUsed === 1 ? '' : 's'})` : 'Correct';
+        } else if (score > 0) {
+            questionItem.classList.add('answer-partial');
+            feedbackEl.textContent = `Partly correct (${Math.round(score * 100)}%) — ${feedback} Answer: ${ansObj.answer}`;
+        } else {
+            questionItem.classList.add('answer-incorrect');
+            // show correct answer in feedback, after any explanation of the mistake
+            feedbackEl.textContent = `Incorrect — ${feedback ? `${feedback} ` : ''}answer: ${ansObj.answer}`;
+        }
+        results.push({ type: q.type, question: ansObj.question, expected, given: userRaw, correct, score, hintsUsed });
+    });
+
+    // Update overall feedback area
+    const overall = document.getElementById('questions-feedback');
+    if (overall) {
+        overall.textContent = `Score: ${formatScore(totalScore)} / ${total}` +
+            (totalHints > 0 ? ` (${totalHints} hint${totalHints === 1 ? '' : 's'} used)` : '');
     }
 
-    /**
-     * Generates a question about why odds grow faster
-     */
-    generateOddsGrowthQuestion() {
-        // Make this a True/False question
-        this.questions.push({
-            type: 'odds-growth',
-            text: 'True or False: Odds grow much faster than probability as p approaches 1.',
-            inputId: `question-${this.questions.length}`,
-        });
+    const submission = {
+        timestamp: new Date().toISOString(),
+        seed: currentSeed,
+        score: totalScore,
+        total,
+        hintsUsed: totalHints,
+        questions: results,
+        ...details,
+    };
+    recordSubmission(submission);
+    renderProgressHistory();
+    return submission;
+}
 
-        this.answers.push({
-            question: 'True or False: Odds grow much faster than probability as p approaches 1.',
-            answer: 'True',
-            formula: 'Odds = p/(1-p). As p→1, the denominator (1-p)→0, causing odds→∞. Probability stays bounded at 1.',
-        });
+const HISTORY_STORAGE_KEY = 'probability-visualizer:history';
+const ADAPTIVE_WINDOW = 10; // recent attempts per type used by adaptive practice
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Readable name of a question type for the progress panel
+ * @param {string} type - Question type id
+ */
+function questionTypeLabel(type) {
+    const definition = ConceptualQuestionGenerator.getQuestionType(type);
+    return (definition && definition.label) || type;
+}
+
+/**
+ * Loads saved submissions from localStorage
+ * @returns {Array<Object>} Submissions, oldest first (empty when storage is unavailable)
+ */
+function loadSubmissionHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Saves submissions to localStorage, keeping only the most recent entries
+ * @param {Array<Object>} history - Submissions, oldest first
+ */
+function saveSubmissionHistory(history) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history.slice(-MAX_HISTORY_ENTRIES)));
+    } catch (error) {
+        // Private browsing or a full quota: keep working without persistence
+        console.warn('Could not save progress history.', error);
     }
+}
+
+/**
+ * Appends one graded submission to the stored history
+ * @param {{timestamp: string, seed: string, score: number, total: number, questions: Array<Object>}} submission
+ */
+function recordSubmission(submission) {
+    const history = loadSubmissionHistory();
+    history.push(submission);
+    saveSubmissionHistory(history);
+}
+
+/**
+ * Credit earned for one graded question (submissions recorded before partial
+ * credit existed only have `correct`)
+ * @param {Object} result - Recorded question result
+ * @returns {number} Score from 0 to 1
+ */
+function resultScore(result) {
+    return typeof result.score === 'number' ? result.score : (result.correct ? 1 : 0);
+}
 
-    /**
-     * Generates a logit interpretation question
-     */
-    generateLogitInterpretation() {
-        const logOdds = roundToThreeDecimals((Math.random() - 0.5) * 4); // -2 to 2
-        const probability = logOddsToProbability(logOdds);
-        const roundedProb = roundToThreeDecimals(probability);
+/**
+ * Formats a score that may include partial credit, e.g. 3.5
+ */
+function formatScore(score) {
+    return String(Math.round(score * 10) / 10);
+}
 
-        this.questions.push({
-            type: 'logit-interpretation',
-            text: `If log-odds = ${logOdds}, what is the probability?`,
-            inputId: `question-${this.questions.length}`,
+/**
+ * Accuracy per question type across the given submissions
+ * @param {Array<Object>} history - Submissions
+ * @returns {Object<string, {attempts: number, correct: number, hints: number}>} Totals keyed by question type
+ */
+function accuracyByQuestionType(history) {
+    const totals = {};
+    history.forEach((submission) => {
+        submission.questions.forEach((result) => {
+            if (!totals[result.type]) totals[result.type] = { attempts: 0, correct: 0, hints: 0 };
+            totals[result.type].attempts += 1;
+            totals[result.type].correct += resultScore(result);
+            totals[result.type].hints += result.hintsUsed || 0;
         });
+    });
+    return totals;
+}
 
-        this.answers.push({
-            question: `If log-odds = ${logOdds}, what is the probability?`,
-            answer: roundedProb,
-            formula: `p = e^${logOdds} / (1 + e^${logOdds}) = ${roundToThreeDecimals(Math.exp(logOdds))} / ${roundToThreeDecimals(1 + Math.exp(logOdds))} = ${roundedProb}`,
+/**
+ * Accuracy per question type over only the most recent attempts of each type
+ * @param {Array<Object>} history - Submissions, oldest first
+ * @param {number} windowSize - Attempts per type to consider
+ * @returns {Object<string, {attempts: number, correct: number}>} Totals keyed by question type
+ */
+function recentAccuracyByType(history, windowSize = ADAPTIVE_WINDOW) {
+    const recent = {};
+    for (let i = history.length - 1; i >= 0; i--) {
+        history[i].questions.forEach((result) => {
+            if (!recent[result.type]) recent[result.type] = { attempts: 0, correct: 0 };
+            const totals = recent[result.type];
+            if (totals.attempts >= windowSize) return;
+            totals.attempts += 1;
+            totals.correct += resultScore(result);
         });
     }
+    return recent;
+}
+
+/**
+ * Mastery level for a question type from its recent attempts
+ * @param {{attempts: number, correct: number}|undefined} totals - Recent totals for the type
+ * @returns {{key: string, label: string}} Level shown in the mastery indicator
+ */
+function masteryLevel(totals) {
+    if (!totals || totals.attempts === 0) return { key: 'new', label: 'Not started' };
+    const accuracy = totals.correct / totals.attempts;
+    if (totals.attempts >= 5 && accuracy >= 0.8) return { key: 'mastered', label: 'Mastered' };
+    if (accuracy >= 0.5) return { key: 'practicing', label: 'Practicing' };
+    return { key: 'needs-work', label: 'Needs work' };
+}
 
-    /**
-     * Generates a probability to odds conversion
-     */
-    generateProbabilityConversion() {
-        const probability = roundToThreeDecimals(Math.random() * 0.7 + 0.15); // 0.15 to 0.85
-        const odds = probabilityToOdds(probability);
-        const roundedOdds = roundToThreeDecimals(odds);
+/**
+ * Generation options that favor a student's weakest question types.
+ * Each type is weighted by its (smoothed) recent error rate, and its difficulty
+ * rises once the student answers it reliably.
+ * @param {string[]} questionTypes - Available question types
+ * @param {Array<Object>} history - Stored submissions
+ * @returns {{typeWeights: Object<string, number>, difficulty: Object<string, number>}}
+ */
+function adaptiveGenerationOptions(questionTypes, history) {
+    const recent = recentAccuracyByType(history);
+    const typeWeights = {};
+    const difficulty = {};
+
+    questionTypes.forEach((type) => {
+        const { attempts, correct } = recent[type] || { attempts: 0, correct: 0 };
+        // Laplace smoothing: an unseen type counts as 50% accurate
+        const accuracy = (correct + 1) / (attempts + 2);
+        typeWeights[type] = 1 - accuracy + 0.1;
+
+        if (attempts < 3) difficulty[type] = 1;
+        else if (accuracy < 0.5) difficulty[type] = 0;
+        else if (accuracy >= 0.8) difficulty[type] = 2;
+        else difficulty[type] = 1;
+    });
 
-        this.questions.push({
-            type: 'probability-conversion',
-            text: `Convert probability = ${probability} to odds.`,
-            inputId: `question-${this.questions.length}`,
-        });
+    return { typeWeights, difficulty };
+}
 
-        this.answers.push({
-            question: `Convert probability = ${probability} to odds.`,
-            answer: roundedOdds,
-            formula: `odds = ${probability} / (1 - ${probability}) = ${probability} / ${roundToThreeDecimals(1 - probability)} = ${roundedOdds}`,
-        });
+/**
+ * Options for the next question set: adaptive when the adaptive toggle is on
+ */
+function practiceGenerationOptions() {
+    const adaptiveToggle = document.getElementById('adaptive-mode');
+    if (!adaptiveToggle || !adaptiveToggle.checked) return {};
+    return adaptiveGenerationOptions(questionGenerator.questionTypes, loadSubmissionHistory());
+}
+
+/**
+ * Shows a mastery badge for every question type
+ * @param {Array<Object>} history - Stored submissions
+ */
+function renderMasteryIndicators(history) {
+    const container = document.getElementById('mastery-indicators');
+    if (!container || !questionGenerator) return;
+
+    const recent = recentAccuracyByType(history);
+    container.innerHTML = '';
+    questionGenerator.questionTypes.forEach((type) => {
+        const totals = recent[type];
+        const level = masteryLevel(totals);
+        const badge = document.createElement('span');
+        badge.className = `mastery-badge mastery-${level.key}`;
+        badge.textContent = `${questionTypeLabel(type)}: ${level.label}`;
+        badge.title = totals
+            ? `${formatScore(totals.correct)} of the last ${totals.attempts} correct`
+            : 'No attempts yet';
+        container.appendChild(badge);
+    });
+}
+
+/**
+ * Redraws the progress panel: score trend chart and per-type accuracy table
+ */
+function renderProgressHistory() {
+    const history = loadSubmissionHistory();
+    const summaryEl = document.getElementById('history-summary');
+    renderMasteryIndicators(history);
+
+    if (historyChart) {
+        historyChart.data.labels = history.map((submission) =>
+            new Date(submission.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        );
+        historyChart.data.datasets[0].data = history.map((submission) =>
+            submission.total > 0 ? (100 * submission.score) / submission.total : 0
+        );
+        historyChart.update();
     }
 
-    /**
-     * Generates a comparison question
-     */
-    generateComparisonQuestion() {
-        // Make this a True/False question
-        this.questions.push({
-            type: 'compare-metrics',
-            text: 'True or False: A positive log-odds (logit > 0) indicates the event is more likely than not.',
-            inputId: `question-${this.questions.length}`,
+    const tbody = document.getElementById('history-type-body');
+    tbody.innerHTML = '';
+    const totals = accuracyByQuestionType(history);
+    Object.keys(totals)
+        .sort((a, b) => totals[a].correct / totals[a].attempts - totals[b].correct / totals[b].attempts)
+        .forEach((type) => {
+            const { attempts, correct, hints } = totals[type];
+            const accuracy = correct / attempts;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td>${attempts}</td>
+                <td>${formatScore(correct)}</td>
+                <td>${Math.round(accuracy * 100)}%</td>
+                <td>${hints}</td>
+            `;
+            row.firstElementChild.textContent = questionTypeLabel(type);
+            // Flag weak spots so they stand out
+            if (attempts >= 2 && accuracy < 0.6) row.classList.add('weak-spot');
+            tbody.appendChild(row);
         });
 
-        this.answers.push({
-            question: 'True or False: A positive log-odds (logit > 0) indicates the event is more likely than not.',
-            answer: 'True',
-            formula: 'log-odds = ln(p/(1-p)) > 0 implies p > 0.5, so the event is more likely than not.',
-        });
+    if (history.length === 0) {
+        summaryEl.textContent = 'No submissions yet. Submit answers to start tracking progress.';
+    } else {
+        const last = history[history.length - 1];
+        summaryEl.textContent = `${history.length} submission${history.length === 1 ? '' : 's'} recorded. Latest score: ${formatScore(last.score)} / ${last.total}${last.hintsUsed ? ` with ${last.hintsUsed} hint${last.hintsUsed === 1 ? '' : 's'}` : ''}. Types with under 60% accuracy are highlighted.`;
     }
+}
 
-    /**
-     * Renders questions to the DOM
-     */
-    renderQuestions() {
-        const container = document.getElementById('questions-container');
-        container.innerHTML = '';
-
-        this.questions.forEach((question, index) => {
-            const questionElement = document.createElement('div');
-            questionElement.className = 'question-item';
-
-            // For True/False questions render radio buttons
-            if (question.type === 'odds-growth' || question.type === 'compare-metrics') {
-                questionElement.innerHTML = `
-                    <span class="question-text">${index + 1}. ${question.text}</span>
-                    <div class="question-input boolean-input">
-                        <label style="margin-right:12px;"><input type="radio" name="${question.inputId}-tf" value="True"> True</label>
-                        <label><input type="radio" name="${question.inputId}-tf" value="False"> False</label>
-                    </div>
-                    <div id="feedback-${index}" class="small-hint" aria-live="polite"></div>
-                `;
-            } else {
-                questionElement.innerHTML = `
-                    <span class="question-text">${index + 1}. ${question.text}</span>
-                    <input 
-                        type="text" 
-                        id="${question.inputId}" 
-                        class="question-input" 
-                        placeholder="Enter answer"
-                    >
-                    <div id="feedback-${index}" class="small-hint" aria-live="polite"></div>
-                `;
-            }
 
-            container.appendChild(questionElement);
+// --- Export and import ---
+
+/**
+ * Downloads the on-screen question set as JSON
+ */
+function exportQuestionSetJson() {
+    downloadFile(
+        `question-set-${fileNameSafe(currentSeed)}.json`,
+        JSON.stringify(questionGenerator.exportQuestionSet(currentSeed), null, 2),
+        'application/json'
+    );
+}
+
+/**
+ * Loads a question set from a JSON file chosen by the user. The set's seed
+ * becomes the current seed so submissions are recorded against it.
+ * @param {File} file - Selected file
+ */
+function importQuestionSetFile(file) {
+    const status = document.getElementById('question-set-status');
+    file.text()
+        .then((text) => {
+            const questionSet = JSON.parse(text);
+            questionGenerator.importQuestionSet(questionSet);
+            if (typeof questionSet.seed === 'string' && questionSet.seed.trim()) {
+                currentSeed = questionSet.seed.trim();
+                document.getElementById('seed-input').value = currentSeed;
+            }
+            showQuestionSet();
+            status.textContent = `Loaded ${questionGenerator.questions.length} questions from ${file.name}. `
+                + 'Links and the seed regenerate questions rather than reproducing this file; share the file itself.';
+        })
+        .catch((error) => {
+            status.textContent = error instanceof SyntaxError ? `${file.name} is not valid JSON.` : error.message;
         });
-    }
+}
 
-    /**
-     * Renders answer key to the DOM (method on the generator)
-     */
-    renderAnswerKey() {
-        const container = document.getElementById('answer-key-container');
-        container.innerHTML = '<h3>Answer Key</h3>';
-
-        this.answers.forEach((answer, index) => {
-            const answerElement = document.createElement('div');
-            answerElement.className = 'answer-item';
-            answerElement.innerHTML = `
-                <strong>Question ${index + 1}:</strong> ${answer.question}<br>
-                <strong>Answer:</strong> ${answer.answer}<br>
-                <strong>Explanation:</strong> ${answer.formula}
-            `;
-            container.appendChild(answerElement);
+/**
+ * Submission history as CSV, one row per graded question
+ * @param {Array<Object>} history - Stored submissions
+ * @returns {string} CSV text
+ */
+function submissionsToCsv(history) {
+    const rows = [[
+        'submitted_at', 'seed', 'mode', 'submission_score', 'submission_total', 'question_number',
+        'question_type', 'question', 'expected_answer', 'given_answer', 'correct', 'credit', 'hints_used',
+    ]];
+    history.forEach((submission) => {
+        submission.questions.forEach((result, index) => {
+            rows.push([
+                submission.timestamp, submission.seed, submission.mode || 'practice', submission.score,
+                submission.total, index + 1, result.type, result.question, result.expected, result.given,
+                result.correct, resultScore(result), result.hintsUsed || 0,
+            ]);
         });
-    }
+    });
+    return toCsv(rows);
+}
 
+/**
+ * Downloads the saved submissions as CSV
+ */
+function exportSubmissionsCsv() {
+    downloadFile('practice-submissions.csv', submissionsToCsv(loadSubmissionHistory()), 'text/csv');
 }
 
+// --- Printable worksheets ---
+
+const MAX_WORKSHEET_VERSIONS = 10;
 
 /**
- * Compares student answers to answer key and updates feedback
+ * Seed for one worksheet version: version 1 is the on-screen set
+ * @param {string} seed - Current seed
+ * @param {number} version - 1-based version number
  */
-function checkSubmittedAnswers() {
-    if (!questionGenerator) return;
+function worksheetVersionSeed(seed, version) {
+    return version === 1 ? seed : `${seed}-v${version}`;
+}
 
-    let numCorrect = 0;
-    const total = questionGenerator.answers.length;
+/**
+ * The on-screen question set followed by `count - 1` more generated from
+ * related seeds with the same question count and types
+ * @param {number} count - Number of versions
+ * @returns {Array<{label: string, seed: string, generator: ConceptualQuestionGenerator}>} Versions
+ */
+function generateWorksheetVersions(count) {
+    const options = practiceGenerationOptions();
+    return Array.from({ length: count }, (_, i) => {
+        if (i === 0) return { label: 'A', seed: currentSeed, generator: questionGenerator };
+        const seed = worksheetVersionSeed(currentSeed, i + 1);
+        const generator = new ConceptualQuestionGenerator(
+            questionGenerator.questionCount,
+            createSeededRandom(`${seed}:questions`)
+        );
+        generator.questionTypes = questionGenerator.enabledTypes;
+        generator.generate(options);
+        return { label: String.fromCharCode(65 + i), seed, generator };
+    });
+}
 
-    questionGenerator.answers.forEach((ansObj, idx) => {
-        const q = questionGenerator.questions[idx];
-        const feedbackEl = document.getElementById(`feedback-${idx}`);
-        const questionItem = document.getElementById(`question-${idx}`)?.closest('.question-item') || document.querySelector(`#feedback-${idx}`)?.closest('.question-item');
-        if (!feedbackEl) return;
+/**
+ * Answer as printed in the answer key; multiple-choice answers also give the
+ * option letter used on the worksheet
+ */
+function printedAnswer(question, answer) {
+    const options = question.data && question.data.options;
+    if (!options) return escapeHtml(answer.answer);
+    const letter = String.fromCharCode(97 + options.indexOf(String(answer.answer)));
+    return `(${letter}) ${escapeHtml(answer.answer)}`;
+}
 
-        let userRaw = '';
-        const expected = ansObj.answer;
+/**
+ * HTML for the printed worksheets followed by their answer keys, one page each
+ * @param {Array<Object>} versions - Versions from generateWorksheetVersions
+ * @returns {string} Markup for #print-worksheets
+ */
+function renderPrintableWorksheets(versions) {
+    const header = (title, version) => `
+        <header class="print-header">
+            <h1>${title}</h1>
+            <div>Version ${version.label} · Seed: ${escapeHtml(version.seed)}</div>
+        </header>
+    `;
+
+    const worksheets = versions.map((version) => `
+        <section class="print-page">
+            ${header('Probability, Odds &amp; Log-Odds Worksheet', version)}
+            <div class="print-student">Name: <span></span> Date: <span></span></div>
+            <ol class="print-questions">
+                ${version.generator.questions.map((question) => {
+                    const definition = ConceptualQuestionGenerator.getQuestionType(question.type);
+                    const answerArea = definition.printAnswerArea
+                        ? definition.printAnswerArea(question)
+                        : '<div class="print-answer-line">Answer:</div>';
+                    return `<li><p>${escapeHtml(question.text)}</p>${answerArea}</li>`;
+                }).join('')}
+            </ol>
+        </section>
+    `);
+
+    const answerKeys = versions.map((version) => `
+        <section class="print-page">
+            ${header('Answer Key', version)}
+            <ol class="print-questions">
+                ${version.generator.answers.map((answer, index) => `
+                    <li>
+                        <p>${escapeHtml(answer.question)}</p>
+                        <p><strong>Answer:</strong> ${printedAnswer(version.generator.questions[index], answer)}</p>
+                        <ol class="solution-steps">${answer.steps.map((step) => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+                    </li>
+                `).join('')}
+            </ol>
+        </section>
+    `);
+
+    return worksheets.concat(answerKeys).join('');
+}
 
-        // Handle True/False questions
-        if (q.type === 'odds-growth' || q.type === 'compare-metrics') {
-            const sel = document.querySelector(`input[name="${q.inputId}-tf"]:checked`);
-            userRaw = sel ? sel.value : '';
-        } else {
-            const inputEl = document.getElementById(`question-${idx}`);
-            if (!inputEl) return;
-            userRaw = inputEl.value.trim();
-        }
+/**
+ * Opens the print dialog (where "Save as PDF" is also offered) for the
+ * requested number of worksheet versions and their answer keys
+ */
+function printWorksheets() {
+    const versionsInput = document.getElementById('worksheet-versions');
+    const count = Math.min(Math.max(parseInt(versionsInput.value, 10) || 1, 1), MAX_WORKSHEET_VERSIONS);
+    versionsInput.value = count;
+
+    const container = document.getElementById('print-worksheets');
+    container.innerHTML = renderPrintableWorksheets(generateWorksheetVersions(count));
+    document.body.classList.add('printing-worksheets');
+    window.print();
+}
 
-        let correct = false;
+/**
+ * Hides the answer key and resets its toggle button
+ */
+function hideAnswerKey() {
+    document.getElementById('answer-key-container').style.display = 'none';
+    document.getElementById('answer-key-toggle').textContent = 'Show Answer Key';
+}
 
-        // Determine if expected is numeric
-        const expectedNum = parseFloat(expected);
-        const userNum = parseFloat(userRaw);
+/**
+ * Makes `seed` the current seed and regenerates the question set from it.
+ * The same seed always produces the same questions and simulation trials.
+ * @param {string} seed - Seed text
+ */
+function applySeed(seed) {
+    currentSeed = String(seed).trim() || generateSeedName();
+    document.getElementById('seed-input').value = currentSeed;
+
+    questionGenerator.setRandom(createSeededRandom(`${currentSeed}:questions`));
+    questionGenerator.generate(practiceGenerationOptions());
+    document.getElementById('question-set-status').textContent = '';
+    showQuestionSet();
+}
 
-        if (!isNaN(expectedNum) && isFinite(expectedNum)) {
-            // numeric comparison with tolerance
-            if (!isNaN(userNum) && isFinite(userNum)) {
-                const diff = Math.abs(userNum - expectedNum);
-                correct = diff <= 0.001; // within 0.001
-            } else {
-                correct = false;
-            }
-        } else {
-            // textual/comprehension or boolean answer
-            const expectedStr = String(expected).toLowerCase();
-            const userStr = String(userRaw).toLowerCase();
-            if (userStr.length === 0) {
-                correct = false;
-            } else if (userStr === expectedStr) {
-                correct = true;
-            } else if (userStr.includes(expectedStr) || expectedStr.includes(userStr)) {
-                correct = true;
-            } else {
-                correct = false;
-            }
-        }
+/**
+ * Renders the generator's current set with fresh answer fields and no feedback
+ */
+function showQuestionSet() {
+    renderQuestions(questionGenerator);
+    renderAnswerKey(questionGenerator);
+    hideAnswerKey();
+    document.getElementById('questions-feedback').textContent = '';
+    document.getElementById('exam-results').style.display = 'none';
+}
 
-        if (correct) {
-            numCorrect += 1;
-            if (questionItem) {
-                questionItem.classList.remove('answer-incorrect');
-                questionItem.classList.add('answer-correct');
-            }
-            feedbackEl.textContent = 'Correct';
-        } else {
-            if (questionItem) {
-                questionItem.classList.remove('answer-correct');
-                questionItem.classList.add('answer-incorrect');
-            }
-            // show correct answer in feedback
-            feedbackEl.textContent = `Incorrect — answer: ${ansObj.answer}`;
-        }
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 30;
+
+/**
+ * Sets how many questions each new set has and regenerates the current seed
+ * @param {number} count - Requested question count
+ */
+function setQuestionCount(count) {
+    const clamped = Math.min(Math.max(Math.round(count) || DEFAULT_QUESTION_COUNT, 1), MAX_QUESTION_COUNT);
+    document.getElementById('question-count').value = clamped;
+    if (clamped === questionGenerator.questionCount) return;
+    questionGenerator.questionCount = clamped;
+    applySeed(currentSeed);
+}
+
+// --- Timed exam mode ---
+
+const MAX_EXAM_MINUTES = 180;
+
+// Running exam: { startedAt, endsAt, timerId }, or null outside an exam
+let examState = null;
+
+/**
+ * Formats milliseconds as m:ss
+ */
+function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+/**
+ * Locks or unlocks everything that would reveal answers or change the
+ * question set while an exam is running
+ * @param {boolean} locked - True during an exam
+ */
+function setExamLocked(locked) {
+    ['answer-key-toggle', 'generate-questions-btn', 'apply-seed-btn', 'new-seed-btn', 'seed-input',
+        'adaptive-mode', 'question-count', 'exam-minutes', 'start-exam-btn', 'print-worksheet-btn',
+        'export-questions-btn', 'import-questions-btn'].forEach((id) => {
+        document.getElementById(id).disabled = locked;
     });
+    document.getElementById('questions-container').classList.toggle('exam-in-progress', locked);
+    if (locked) hideAnswerKey();
+}
 
-    // Update overall feedback area
-    const overall = document.getElementById('questions-feedback');
-    if (overall) {
-        overall.textContent = `Score: ${numCorrect} / ${total}`;
-    }
+/**
+ * Starts a timed exam on the question set on screen, generated or imported,
+ * with answers, hints and feedback cleared
+ */
+function startExam() {
+    const minutes = Math.min(Math.max(parseFloat(document.getElementById('exam-minutes').value) || 10, 1), MAX_EXAM_MINUTES);
+    questionGenerator.resetHints();
+    showQuestionSet();
+    setExamLocked(true);
+
+    const startedAt = Date.now();
+    examState = {
+        startedAt,
+        endsAt: startedAt + minutes * 60000,
+        timerId: setInterval(updateExamTimer, 1000),
+    };
+    updateExamTimer();
+}
+
+/**
+ * Updates the countdown and ends the exam when time runs out
+ */
+function updateExamTimer() {
+    if (!examState) return;
+    const remaining = examState.endsAt - Date.now();
+    const timerEl = document.getElementById('exam-timer');
+    timerEl.textContent = `Time left: ${formatDuration(remaining)}`;
+    timerEl.classList.toggle('exam-timer-low', remaining <= 60000);
+    if (remaining <= 0) finishExam(true);
+}
+
+/**
+ * Ends the running exam: grades it, locks the answers and shows the summary
+ * @param {boolean} timedOut - True when time ran out rather than the student submitting
+ */
+function finishExam(timedOut) {
+    if (!examState) return;
+    clearInterval(examState.timerId);
+    const elapsedMs = Math.min(Date.now(), examState.endsAt) - examState.startedAt;
+    const timeLimitMs = examState.endsAt - examState.startedAt;
+    examState = null;
+
+    const submission = checkSubmittedAnswers({
+        mode: 'exam',
+        timedOut,
+        durationSeconds: Math.round(elapsedMs / 1000),
+        timeLimitSeconds: Math.round(timeLimitMs / 1000),
+    });
+    document.querySelectorAll('#questions-container input').forEach((input) => {
+        input.disabled = true;
+    });
+    setExamLocked(false);
+
+    const timerEl = document.getElementById('exam-timer');
+    timerEl.textContent = timedOut ? 'Time is up' : '';
+    timerEl.classList.remove('exam-timer-low');
+    if (submission) renderExamResults(submission, elapsedMs, timedOut);
+}
+
+/**
+ * Shows the end-of-exam summary
+ * @param {Object} submission - Recorded submission
+ * @param {number} elapsedMs - Time taken
+ * @param {boolean} timedOut - Whether time ran out
+ */
+function renderExamResults(submission, elapsedMs, timedOut) {
+    const container = document.getElementById('exam-results');
+    const percent = submission.total > 0 ? Math.round((100 * submission.score) / submission.total) : 0;
+    container.innerHTML = `
+        <h3>Exam Results</h3>
+        <p class="small-hint">${timedOut ? 'Time ran out; unanswered questions were marked incorrect.' : 'Submitted.'}
+            Time used: ${formatDuration(elapsedMs)}.</p>
+        <div class="metric-value">Score: <span>${formatScore(submission.score)} / ${submission.total} (${percent}%)</span></div>
+        <table class="results-table">
+            <thead>
+                <tr><th>#</th><th>Question</th><th>Your Answer</th><th>Correct Answer</th><th>Credit</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const tbody = container.querySelector('tbody');
+    submission.questions.forEach((result, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${index + 1}</td><td></td><td></td><td></td><td>${Math.round(result.score * 100)}%</td>`;
+        row.children[1].textContent = result.question;
+        row.children[2].textContent = result.given === '' ? '—' : result.given;
+        row.children[3].textContent = result.expected;
+        tbody.appendChild(row);
+    });
+    container.style.display = 'block';
+}
+
+
+// ============================================
+// 5. SHAREABLE URL STATE
+// ============================================
+
+/**
+ * Persists an input or select through its value; writing dispatches `eventName`
+ * so the control's own handler updates the page as if the user had edited it
+ */
+function inputStateField(key, id, eventName = 'input') {
+    return {
+        key,
+        read: () => document.getElementById(id).value,
+        write: (value) => {
+            const element = document.getElementById(id);
+            element.value = value;
+            element.dispatchEvent(new Event(eventName));
+        },
+    };
+}
+
+// Every control whose state is serialized into the URL hash, in restore order
+const urlStateFields = [
+    {
+        key: 'seed',
+        read: () => currentSeed,
+        write: (value) => {
+            if (value !== currentSeed) applySeed(value);
+        },
+    },
+    inputStateField('count', 'question-count', 'change'),
+    inputStateField('exam', 'exam-minutes'),
+    {
+        key: 'lo',
+        read: () => inputNumber(probabilityStore.get().logOdds),
+        write: (value) => probabilityStore.setLogOdds(Number(value)),
+    },
+    inputStateField('lmin', 'logit-range-min', 'change'),
+    inputStateField('lmax', 'logit-range-max', 'change'),
+    inputStateField('ymin', 'logit-y-min', 'change'),
+    inputStateField('ymax', 'logit-y-max', 'change'),
+    inputStateField('cmin', 'comparison-range-min', 'change'),
+    inputStateField('cmax', 'comparison-range-max', 'change'),
+    inputStateField('oscale', 'odds-axis-scale', 'change'),
+    inputStateField('omin', 'odds-axis-min', 'change'),
+    inputStateField('omax', 'odds-axis-max', 'change'),
+    inputStateField('a', 'table-a'),
+    inputStateField('b', 'table-b'),
+    inputStateField('c', 'table-c'),
+    inputStateField('d', 'table-d'),
+    inputStateField('ga', 'group-a-name'),
+    inputStateField('gb', 'group-b-name'),
+    inputStateField('prior', 'bayes-prior'),
+    {
+        key: 'evidence',
+        read: () => JSON.stringify(bayesEvidence.map((evidence) => [evidence.label, evidence.likelihoodRatio])),
+        write: (value) => {
+            const entries = JSON.parse(value);
+            bayesEvidence = entries
+                .filter((entry) => Array.isArray(entry) && entry[1] > 0)
+                .map(([label, likelihoodRatio]) => ({ label: String(label), likelihoodRatio: Number(likelihoodRatio) }));
+            updateBayesPanel();
+        },
+    },
+    inputStateField('odds', 'odds-converter-input'),
+    inputStateField('oddsfmt', 'odds-converter-format', 'change'),
+    inputStateField('market', 'betting-market-input'),
+    inputStateField('mode', 'simulation-mode', 'change'),
+    inputStateField('n', 'simulation-trials'),
+    {
+        key: 'slink',
+        read: () => (document.getElementById('simulation-link-probability').checked ? '1' : null),
+        write: (value) => {
+            const toggle = document.getElementById('simulation-link-probability');
+            toggle.checked = value === '1';
+            toggle.dispatchEvent(new Event('change'));
+        },
+    },
+    inputStateField('sp', 'simulation-probability'),
+    inputStateField('reps', 'simulation-repetitions', 'change'),
+    inputStateField('scale', 'sampling-scale', 'change'),
+    {
+        key: 'outcomes',
+        read: () => JSON.stringify(
+            Array.from(document.querySelectorAll('#categorical-outcomes .categorical-row')).map((row) => [
+                row.querySelector('.categorical-label').value,
+                row.querySelector('.categorical-probability').value,
+            ])
+        ),
+        write: (value) => {
+            const entries = JSON.parse(value);
+            document.getElementById('categorical-outcomes').innerHTML = '';
+            entries.forEach(([label, probability]) => addCategoricalOutcomeRow(String(label), String(probability)));
+            validateCategoricalOutcomes();
+        },
+    },
+    inputStateField('cn', 'categorical-trials'),
+    {
+        // The textarea only refits on the Fit button, so refit here rather than dispatching input
+        key: 'reg',
+        read: () => document.getElementById('regression-data').value,
+        write: (value) => {
+            document.getElementById('regression-data').value = value;
+            handleRegressionFit();
+        },
+    },
+];
+
+let urlStateTimerId = null;
+let lastWrittenHash = '';
+
+/**
+ * Serializes every field in urlStateFields into the URL hash without adding history entries
+ */
+function writeUrlState() {
+    const params = new URLSearchParams();
+    urlStateFields.forEach((field) => {
+        const value = field.read();
+        if (value !== null && value !== undefined) params.set(field.key, value);
+    });
+    lastWrittenHash = `#${params.toString()}`;
+    history.replaceState(null, '', lastWrittenHash);
+}
+
+/**
+ * Debounces writeUrlState so typing does not rewrite the URL on every keystroke
+ */
+function scheduleUrlStateWrite() {
+    clearTimeout(urlStateTimerId);
+    urlStateTimerId = setTimeout(writeUrlState, 250);
+}
+
+/**
+ * Reads the URL hash into search params
+ * @returns {URLSearchParams} Params (empty when there is no hash)
+ */
+function readUrlState() {
+    return new URLSearchParams(window.location.hash.slice(1));
+}
+
+/**
+ * Restores every field present in `params`; unknown keys and malformed values are skipped
+ * @param {URLSearchParams} params - State read from the URL hash
+ */
+function restoreUrlState(params) {
+    urlStateFields.forEach((field) => {
+        if (!params.has(field.key)) return;
+        try {
+            field.write(params.get(field.key));
+        } catch (error) {
+            console.warn(`Ignoring invalid "${field.key}" in the URL.`, error);
+        }
+    });
 }
 
 
 // ============================================
-// 5. INITIALIZATION
+// 6. INITIALIZATION
 // ============================================
 
 /**
  * Initializes the application
  */
 function initializeApp() {
-    // Create question generator (global)
-    questionGenerator = new ConceptualQuestionGenerator(5);
-    questionGenerator.generate();
-    questionGenerator.renderQuestions();
-    questionGenerator.renderAnswerKey();
+    // Create question generator (global) and the first seeded question set,
+    // reusing the seed from a shared link when there is one
+    const urlState = readUrlState();
+    questionGenerator = new ConceptualQuestionGenerator(DEFAULT_QUESTION_COUNT);
+    applySeed(urlState.get('seed') || generateSeedName());
 
     // Create charts
     createLogitChart();
     createComparisonChart();
     createSimulationChart();
+    createConvergenceChart();
+    createSamplingChart();
+    createCategoricalChart();
+    createRegressionChart();
+    createHistoryChart();
+
+    // Probability, odds and log-odds controls all edit one shared value
+    probabilityStore.subscribe(renderProbabilityState);
+    bindProbabilityInput('logit-slider', probabilityStore.setProbability);
+    bindProbabilityInput('logit-prob-input', probabilityStore.setProbability);
+    bindProbabilityInput('logit-odds-input', probabilityStore.setOdds);
+    bindProbabilityInput('logit-logodds-input', probabilityStore.setLogOdds);
+    bindProbabilityInput('comparison-input', probabilityStore.setProbability);
+    enableMarkerDragging(logitChart);
+    enableMarkerDragging(comparisonChart);
+
+    // Chart range controls
+    ['logit-range-min', 'logit-range-max', 'logit-y-min', 'logit-y-max'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', handleLogitRangeChange);
+    });
+    ['comparison-range-min', 'comparison-range-max', 'odds-axis-scale', 'odds-axis-min', 'odds-axis-max'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', handleComparisonRangeChange);
+    });
+    renderProbabilityState(probabilityStore.get());
 
-    // Initialize logit slider with default value (0.5)
-    const logitSlider = document.getElementById('logit-slider');
-    document.getElementById('logit-prob-value').textContent = '0.500';
-    document.getElementById('logit-odds-value').textContent = roundToThreeDecimals(
-        probabilityToOdds(0.5)
-    );
-    document.getElementById('logit-value').textContent = roundToThreeDecimals(
-        probabilityToLogOdds(0.5)
-    );
-
-    // Initialize comparison input with default value (0.5)
-    const comparisonInput = document.getElementById('comparison-input');
-    document.getElementById('comp-prob-value').textContent = '0.500';
-    document.getElementById('comp-odds-value').textContent = roundToThreeDecimals(
-        probabilityToOdds(0.5)
-    );
-
-    // Event listeners
-    logitSlider.addEventListener('input', handleLogitSliderChange);
-    comparisonInput.addEventListener('input', handleComparisonInputChange);
+    // Chart export toolbars (PNG/SVG/CSV)
+    document.querySelectorAll('.chart-export').forEach((toolbar) => {
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (button) exportChart(toolbar.dataset.chart, button.dataset.format);
+        });
+    });
 
     // Simulation button wiring (uses its own probability input independent from top graphs)
     document.getElementById('run-simulation-btn').addEventListener('click', () => {
-        const trialsSelect = document.getElementById('simulation-trials');
-        const n = parseInt(trialsSelect.value, 10) || 100;
+        const trialsInput = document.getElementById('simulation-trials');
+        let n = parseInt(trialsInput.value, 10) || 100;
+        // constrain n to 1..10^8 trials
+        n = Math.min(Math.max(n, 1), MAX_SIMULATION_TRIALS);
+        trialsInput.value = n;
         const pInput = document.getElementById('simulation-probability');
         let p = parseFloat(pInput.value);
         if (isNaN(p)) p = 0.5;
-        // constrain p to sensible range
-        if (p <= 0) p = 0.01;
-        if (p >= 1) p = 0.99;
+        // constrain p to [0, 1]; tiny probabilities such as 1e-9 are allowed
+        p = Math.min(Math.max(p, 0), 1);
         // update displayed sim probability
-        document.getElementById('sim-prob-display').textContent = roundToThreeDecimals(p);
-        runSimulation(p, n);
+        document.getElementById('sim-prob-display').textContent = formatProbability(p);
+
+        const seed = `${currentSeed}:simulation`;
+        if (document.getElementById('simulation-mode').value === 'repeated') {
+            const repetitions = parseInt(document.getElementById('simulation-repetitions').value, 10) || 1000;
+            const showRates = document.getElementById('sampling-scale').value === 'rate';
+            runRepeatedSimulation(p, n, repetitions, seed, showRates);
+        } else {
+            runSimulation(p, n, seed);
+        }
     });
+    document.getElementById('cancel-simulation-btn').addEventListener('click', cancelSimulation);
+    document.getElementById('export-simulation-csv-btn').addEventListener('click', exportSimulationCsv);
+    document.getElementById('simulation-mode').addEventListener('change', handleSimulationModeChange);
+    handleSimulationModeChange();
 
-    // Update the displayed simulation probability when user edits the simulation input
+    // Update the displayed simulation probability when user edits the simulation input;
+    // while linked, the edit also moves the shared probability
     const simProbInput = document.getElementById('simulation-probability');
+    const simLinkToggle = document.getElementById('simulation-link-probability');
     simProbInput.addEventListener('input', (e) => {
         let v = parseFloat(e.target.value);
         if (isNaN(v)) v = 0;
-        if (v < 0.01) v = 0.01;
-        if (v > 0.99) v = 0.99;
-        document.getElementById('sim-prob-display').textContent = roundToThreeDecimals(v);
+        v = Math.min(Math.max(v, 0), 1);
+        document.getElementById('sim-prob-display').textContent = formatProbability(v);
+        if (simLinkToggle.checked) probabilityStore.setProbability(v, simProbInput);
+    });
+    simLinkToggle.addEventListener('change', () => {
+        if (simLinkToggle.checked) renderProbabilityState(probabilityStore.get());
     });
 
-    // Initialize the real-world example for the default slider value
-    updateRealWorldExample(parseFloat(logitSlider.value));
+    // Categorical simulation wiring
+    const presetSelect = document.getElementById('categorical-preset');
+    presetSelect.addEventListener('change', () => loadCategoricalPreset(presetSelect.value));
+    document.getElementById('add-outcome-btn').addEventListener('click', () => {
+        addCategoricalOutcomeRow();
+        validateCategoricalOutcomes();
+    });
+    document.getElementById('run-categorical-btn').addEventListener('click', runCategoricalSimulation);
+    loadCategoricalPreset(presetSelect.value);
+
+    // Logistic regression playground wiring
+    const regressionData = document.getElementById('regression-data');
+    regressionData.value = regressionExampleData;
+    document.getElementById('regression-example-btn').addEventListener('click', () => {
+        regressionData.value = regressionExampleData;
+        handleRegressionFit();
+    });
+    document.getElementById('regression-fit-btn').addEventListener('click', handleRegressionFit);
+    handleRegressionFit();
 
-    // Generate questions button
+    // 2×2 table wiring
+    ['table-a', 'table-b', 'table-c', 'table-d', 'group-a-name', 'group-b-name'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', handleTwoByTwoChange);
+    });
+    handleTwoByTwoChange();
+
+    // Bayesian updating wiring
+    document.getElementById('bayes-evidence-type').addEventListener('change', handleBayesEvidenceTypeChange);
+    document.getElementById('bayes-add-btn').addEventListener('click', addBayesEvidence);
+    document.getElementById('bayes-reset-btn').addEventListener('click', () => {
+        bayesEvidence = [];
+        updateBayesPanel();
+    });
+    document.getElementById('bayes-prior').addEventListener('input', updateBayesPanel);
+    handleBayesEvidenceTypeChange();
+    updateBayesPanel();
+
+    // Betting odds converter wiring
+    document.getElementById('odds-converter-input').addEventListener('input', handleOddsConverterChange);
+    document.getElementById('odds-converter-format').addEventListener('change', handleOddsConverterChange);
+    const marketInput = document.getElementById('betting-market-input');
+    marketInput.value = bettingMarketExample;
+    marketInput.addEventListener('input', handleBettingMarketChange);
+    handleOddsConverterChange();
+    handleBettingMarketChange();
+
+    // Generate questions button (a new set means a new seed)
     document.getElementById('generate-questions-btn').addEventListener('click', () => {
-        questionGenerator.generate();
-        questionGenerator.renderQuestions();
-        questionGenerator.renderAnswerKey();
-        // Hide answer key when generating new questions
-        document.getElementById('answer-key-container').style.display = 'none';
-        document.getElementById('answer-key-toggle').textContent = 'Show Answer Key';
+        applySeed(generateSeedName());
+    });
+
+    // Seed controls
+    document.getElementById('apply-seed-btn').addEventListener('click', () => {
+        applySeed(document.getElementById('seed-input').value);
+    });
+    document.getElementById('seed-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applySeed(e.target.value);
+    });
+    document.getElementById('new-seed-btn').addEventListener('click', () => {
+        applySeed(generateSeedName());
     });
 
     // Submit answers button wiring
     const submitBtn = document.getElementById('submit-answers-btn');
     if (submitBtn) {
         submitBtn.addEventListener('click', () => {
-            checkSubmittedAnswers();
+            if (examState) finishExam(false);
+            else checkSubmittedAnswers();
         });
     }
 
+    // Question count and timed exam
+    document.getElementById('question-count').addEventListener('change', (e) => {
+        setQuestionCount(parseInt(e.target.value, 10));
+    });
+    document.getElementById('start-exam-btn').addEventListener('click', startExam);
+
+    // Question set JSON export/import and submission CSV export
+    document.getElementById('export-questions-btn').addEventListener('click', exportQuestionSetJson);
+    const importInput = document.getElementById('import-questions-input');
+    document.getElementById('import-questions-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) importQuestionSetFile(importInput.files[0]);
+        importInput.value = ''; // allow re-importing the same file
+    });
+    document.getElementById('export-history-csv-btn').addEventListener('click', exportSubmissionsCsv);
+
+    // Printable worksheets; the print-only markup is dropped once printing finishes
+    document.getElementById('print-worksheet-btn').addEventListener('click', printWorksheets);
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-worksheets');
+        document.getElementById('print-worksheets').innerHTML = '';
+    });
+
+    // Adaptive practice applies from the next question set; regenerate the current seed now
+    document.getElementById('adaptive-mode').addEventListener('change', () => applySeed(currentSeed));
+
+    // Progress history panel
+    document.getElementById('clear-history-btn').addEventListener('click', () => {
+        if (!confirm('Delete all saved scores on this device?')) return;
+        saveSubmissionHistory([]);
+        renderProgressHistory();
+    });
+    renderProgressHistory();
+
     // Answer key toggle button
     document.getElementById('answer-key-toggle').addEventListener('click', () => {
         const answerKeyContainer = document.getElementById('answer-key-container');
@@ -955,6 +3385,27 @@ function initializeApp() {
         }
     });
 
+    // Restore the rest of a shared link's configuration, then keep the hash in sync
+    restoreUrlState(urlState);
+    ['input', 'change', 'click'].forEach((eventName) => {
+        document.addEventListener(eventName, scheduleUrlStateWrite);
+    });
+    document.getElementById('copy-link-btn').addEventListener('click', () => {
+        const status = document.getElementById('copy-link-status');
+        writeUrlState();
+        navigator.clipboard.writeText(window.location.href)
+            .then(() => {
+                status.textContent = 'Link copied — it opens this exact configuration.';
+            })
+            .catch(() => {
+                status.textContent = 'Copy the address bar URL to share this configuration.';
+            });
+    });
+    window.addEventListener('hashchange', () => {
+        // Only react to links pasted into the address bar, not our own writes
+        if (window.location.hash !== lastWrittenHash) restoreUrlState(readUrlState());
+    });
+
     console.log('Probability and Odds Visualizer initialized successfully!');
 }
 
@@ -0,0 +1,169 @@
+// ============================================
+// SIMULATION-ENGINE.JS - Chunked Bernoulli simulation and categorical draws
+// DOM-free ES module: runs inside simulation-worker.js, or on the page as
+// a fallback when module workers are unavailable
+// ============================================
+
+import { createSeededRandom } from './random.js';
+
+// Upper bound on random draws per chunk so each chunk stays well under a frame budget
+const MAX_DRAWS_PER_CHUNK = 2000000;
+
+// Chunks are spread over ~60 frames so small runs still animate
+const TARGET_CHUNKS = 60;
+const CHUNK_DELAY_MS = 16;
+
+// Maximum number of convergence checkpoints reported for a single run
+const MAX_CONVERGENCE_POINTS = 500;
+
+/**
+ * Creates a simulation job that advances one chunk at a time.
+ *
+ * Job options:
+ *   kind        - 'single' (one run of n trials) or 'repeated' (n-trial experiment repeated)
+ *   p           - success probability
+ *   n           - trials per experiment
+ *   repetitions - number of experiments (repeated mode only)
+ *   seed        - seed text for createSeededRandom
+ *
+ * @param {Object} options - Job options
+ * @returns {{step: function(): Object}} Job whose step() returns a progress message
+ */
+function createSimulationJob(options) {
+    const random = createSeededRandom(options.seed);
+    const p = Math.min(Math.max(options.p, 0), 1);
+    const n = options.n;
+
+    if (options.kind === 'repeated') {
+        const repetitions = options.repetitions;
+        // Draws per chunk; a chunk may stop partway through an experiment so
+        // runs with very large n still yield (and can be cancelled) between chunks
+        const drawsPerChunk = Math.max(1, Math.min(Math.ceil((repetitions * n) / TARGET_CHUNKS), MAX_DRAWS_PER_CHUNK));
+        const tally = new Map(); // success count -> number of experiments
+        let experiments = 0;
+        let sumRates = 0;
+        let sumSquaredRates = 0;
+        // Experiment in progress: trials drawn so far and their successes
+        let trial = 0;
+        let successes = 0;
+
+        return {
+            step() {
+                let draws = 0;
+                while (experiments < repetitions && draws < drawsPerChunk) {
+                    const end = Math.min(n, trial + drawsPerChunk - draws);
+                    draws += end - trial;
+                    while (trial < end) {
+                        if (random() < p) successes++;
+                        trial++;
+                    }
+                    if (trial < n) break;
+
+                    tally.set(successes, (tally.get(successes) || 0) + 1);
+                    const rate = successes / n;
+                    sumRates += rate;
+                    sumSquaredRates += rate * rate;
+                    experiments++;
+                    trial = 0;
+                    successes = 0;
+                }
+                return {
+                    type: 'progress',
+                    kind: 'repeated',
+                    completed: experiments,
+                    total: repetitions,
+                    tally: Array.from(tally.entries()),
+                    sumRates,
+                    sumSquaredRates,
+                    done: experiments >= repetitions,
+                };
+            },
+        };
+    }
+
+    const trialsPerChunk = Math.max(1, Math.min(Math.ceil(n / TARGET_CHUNKS), MAX_DRAWS_PER_CHUNK));
+    const checkpointEvery = Math.max(1, Math.floor(n / MAX_CONVERGENCE_POINTS));
+    let trial = 0;
+    let successes = 0;
+
+    return {
+        step() {
+            const end = Math.min(n, trial + trialsPerChunk);
+            // Convergence checkpoints added during this chunk: [trial, successes so far]
+            const checkpoints = [];
+            while (trial < end) {
+                if (random() < p) successes++;
+                trial++;
+                if (trial % checkpointEvery === 0 || trial === n) {
+                    checkpoints.push([trial, successes]);
+                }
+            }
+            return {
+                type: 'progress',
+                kind: 'single',
+                completed: trial,
+                total: n,
+                successes,
+                checkpoints,
+                done: trial >= n,
+            };
+        },
+    };
+}
+
+/**
+ * Runs a simulation job chunk by chunk, yielding between chunks so the
+ * host thread can handle cancellation (and, on the page, stay responsive).
+ * @param {Object} options - Job options (see createSimulationJob)
+ * @param {function(Object): void} onProgress - Called with each progress message
+ * @returns {{cancel: function(): void}} Handle to stop the run
+ */
+function runSimulationJob(options, onProgress) {
+    const job = createSimulationJob(options);
+    let timerId = null;
+    let cancelled = false;
+
+    const runChunk = () => {
+        if (cancelled) return;
+        const progress = job.step();
+        onProgress(progress);
+        if (!progress.done) {
+            timerId = setTimeout(runChunk, CHUNK_DELAY_MS);
+        }
+    };
+
+    runChunk();
+
+    return {
+        cancel() {
+            cancelled = true;
+            clearTimeout(timerId);
+        },
+    };
+}
+
+/**
+ * Draws `n` outcomes from a categorical distribution
+ * @param {number[]} probabilities - Outcome probabilities summing to 1
+ * @param {number} n - Number of trials
+ * @param {function(): number} random - Random source
+ * @returns {number[]} Observed count per outcome
+ */
+function simulateCategorical(probabilities, n, random = Math.random) {
+    const cumulative = [];
+    probabilities.reduce((total, probability, index) => {
+        cumulative[index] = total + probability;
+        return cumulative[index];
+    }, 0);
+
+    const counts = new Array(probabilities.length).fill(0);
+    for (let i = 0; i < n; i++) {
+        const u = random();
+        let index = 0;
+        while (index < cumulative.length - 1 && u >= cumulative[index]) index++;
+        counts[index]++;
+    }
+    return counts;
+}
+
+export { createSimulationJob, runSimulationJob, simulateCategorical };
@@ -0,0 +1,26 @@
+// ============================================
+// SIMULATION-WORKER.JS - Runs simulations off the main thread
+// Messages in:  { type: 'start', jobId, job } | { type: 'cancel', jobId }
+// Messages out: progress messages from simulation-engine.js, tagged with jobId
+// ============================================
+
+import { runSimulationJob } from './simulation-engine.js';
+
+let activeRun = null;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+
+    // Only one job runs at a time; a new start or a cancel stops the current one
+    if (activeRun) {
+        activeRun.cancel();
+        activeRun = null;
+    }
+
+    if (message.type === 'start') {
+        activeRun = runSimulationJob(message.job, (progress) => {
+            self.postMessage({ ...progress, jobId: message.jobId });
+            if (progress.done) activeRun = null;
+        });
+    }
+});
@@ -0,0 +1,215 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    roundToThreeDecimals,
+    probabilityToOdds,
+    probabilityToLogOdds,
+    logOddsToProbability,
+    log1pExp,
+    logOddsToLogProbability,
+    logProbabilityToLogOdds,
+    oddsToProbability,
+    oddsToLogOdds,
+    logOddsToOdds,
+    probabilitiesToOdds,
+    probabilitiesToLogOdds,
+    oddsToProbabilities,
+    logOddsToProbabilities,
+    probabilityGrid,
+    createProbabilityStore,
+    wilsonInterval,
+    binomialPmf,
+    chiSquarePValue,
+    parseFractionOrNumber,
+    twoByTwoMeasures,
+    bayesianUpdateSteps,
+    toSimpleFraction,
+    parseBettingOdds,
+    removeOverround,
+    parseRegressionData,
+    logisticLogLikelihood,
+    fitLogisticRegression,
+} from '../probability-core.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+test('converts between probability, odds and log-odds', () => {
+    close(probabilityToOdds(0.75), 3);
+    close(probabilityToOdds(0.2), 0.25);
+    close(probabilityToLogOdds(0.5), 0);
+    close(probabilityToLogOdds(0.75), Math.log(3));
+    close(logOddsToProbability(0), 0.5);
+    close(logOddsToProbability(Math.log(3)), 0.75);
+    close(oddsToProbability(3), 0.75);
+    close(oddsToLogOdds(Math.E), 1);
+    close(logOddsToOdds(Math.log(4)), 4);
+});
+
+test('inverse functions round-trip', () => {
+    [0.001, 0.1, 0.25, 0.5, 0.8, 0.999].forEach((p) => {
+        close(logOddsToProbability(probabilityToLogOdds(p)), p, 1e-12);
+        close(oddsToProbability(probabilityToOdds(p)), p, 1e-12);
+        close(logOddsToOdds(oddsToLogOdds(probabilityToOdds(p))), probabilityToOdds(p), 1e-9);
+    });
+});
+
+test('handles 0, 1 and infinities at the edges', () => {
+    assert.equal(probabilityToOdds(0), 0);
+    assert.equal(probabilityToOdds(1), Infinity);
+    assert.equal(probabilityToLogOdds(0), -Infinity);
+    assert.equal(probabilityToLogOdds(1), Infinity);
+    assert.equal(logOddsToProbability(Infinity), 1);
+    assert.equal(logOddsToProbability(-Infinity), 0);
+    assert.equal(oddsToProbability(0), 0);
+    assert.equal(oddsToProbability(Infinity), 1);
+    assert.equal(oddsToLogOdds(0), -Infinity);
+    assert.equal(oddsToLogOdds(Infinity), Infinity);
+    assert.equal(logOddsToOdds(-Infinity), 0);
+    assert.equal(logOddsToOdds(Infinity), Infinity);
+});
+
+test('stays accurate for extreme probabilities and log-odds', () => {
+    close(probabilityToLogOdds(1e-9), Math.log(1e-9) - Math.log1p(-1e-9), 1e-12);
+    close(probabilityToLogOdds(1e-300), Math.log(1e-300), 1e-9);
+    close(probabilityToLogOdds(0.999999), Math.log(999999), 1e-6);
+    close(logOddsToProbability(probabilityToLogOdds(1e-9)) / 1e-9, 1, 1e-12);
+
+    assert.equal(logOddsToProbability(50), 1 / (1 + Math.exp(-50)));
+    close(logOddsToProbability(-50) / Math.exp(-50), 1, 1e-12);
+    assert.equal(logOddsToProbability(800), 1);
+    assert.equal(logOddsToProbability(-800), 0);
+    assert.equal(logOddsToProbability(1000), 1);
+    assert.ok(!Number.isNaN(logOddsToProbability(710)));
+});
+
+test('log-space helpers avoid overflow and underflow', () => {
+    close(log1pExp(0), Math.LN2, 1e-15);
+    assert.equal(log1pExp(1000), 1000);
+    close(log1pExp(-50), Math.exp(-50), 1e-30);
+    close(logOddsToLogProbability(-800), -800, 1e-9);
+    close(logOddsToLogProbability(0), -Math.LN2, 1e-15);
+    close(logProbabilityToLogOdds(Math.log(0.25)), Math.log(1 / 3), 1e-12);
+    close(logProbabilityToLogOdds(logOddsToLogProbability(-800)), -800, 1e-9);
+    assert.equal(logProbabilityToLogOdds(0), Infinity);
+});
+
+test('clamps out-of-range input and passes NaN through', () => {
+    assert.equal(probabilityToOdds(-0.5), 0);
+    assert.equal(probabilityToOdds(1.5), Infinity);
+    assert.equal(oddsToProbability(-2), 0);
+    assert.ok(Number.isNaN(probabilityToOdds(NaN)));
+    assert.ok(Number.isNaN(probabilityToLogOdds(NaN)));
+    assert.ok(Number.isNaN(logOddsToProbability(NaN)));
+    assert.ok(Number.isNaN(oddsToProbability(NaN)));
+});
+
+test('vectorized conversions accept arrays and typed arrays', () => {
+    assert.deepEqual(probabilitiesToOdds([0, 0.5, 1]), [0, 1, Infinity]);
+    assert.deepEqual(probabilitiesToLogOdds([0, 0.5, 1]), [-Infinity, 0, Infinity]);
+    assert.deepEqual(oddsToProbabilities([0, 1, Infinity]), [0, 0.5, 1]);
+
+    const probabilities = logOddsToProbabilities(new Float32Array([-Infinity, 0, Infinity]));
+    assert.ok(probabilities instanceof Float64Array);
+    assert.deepEqual(Array.from(probabilities), [0, 0.5, 1]);
+});
+
+test('probability grid is dense near 0 and 1 and symmetric', () => {
+    const grid = probabilityGrid(0.01, 0.99, 101);
+    assert.equal(grid.length, 101);
+    assert.equal(grid[0], 0.01);
+    assert.equal(grid[100], 0.99);
+    close(grid[50], 0.5, 1e-12);
+    grid.slice(1).forEach((p, i) => assert.ok(p > grid[i]));
+    grid.forEach((p, i) => close(p, 1 - grid[100 - i], 1e-12));
+    // Steps near the edge are smaller than steps in the middle
+    assert.ok(grid[1] - grid[0] < (grid[51] - grid[50]) / 5);
+});
+
+test('probability store keeps every view in sync', () => {
+    const store = createProbabilityStore();
+    const changes = [];
+    const unsubscribe = store.subscribe((state, source) => changes.push([state, source]));
+
+    assert.equal(store.get().probability, 0.5);
+    assert.equal(store.setOdds(3, 'odds-input'), true);
+    close(store.get().probability, 0.75, 1e-12);
+    close(store.get().logOdds, Math.log(3), 1e-12);
+    assert.equal(changes[0][1], 'odds-input');
+
+    assert.equal(store.setProbability(1e-12), true);
+    close(store.get().probability / 1e-12, 1, 1e-9);
+    assert.equal(store.setLogOdds(50), true);
+    close(store.get().complement / Math.exp(-50), 1, 1e-12);
+
+    // Values without finite log-odds are rejected and leave the state alone
+    [store.setProbability(0), store.setProbability(1), store.setOdds(0), store.setOdds(Infinity), store.setLogOdds(NaN)]
+        .forEach((accepted) => assert.equal(accepted, false));
+    assert.equal(store.get().logOdds, 50);
+
+    unsubscribe();
+    store.setLogOdds(0);
+    assert.equal(changes.length, 3);
+});
+
+test('rounds to three decimals', () => {
+    assert.equal(roundToThreeDecimals(0.12345), 0.123);
+    assert.equal(roundToThreeDecimals(2.0005), 2.001);
+    assert.equal(roundToThreeDecimals(Infinity), Infinity);
+});
+
+test('statistics helpers', () => {
+    close(binomialPmf(2, 4, 0.5), 0.375, 1e-12);
+    const interval = wilsonInterval(50, 100);
+    close(interval.lower, 0.4038, 1e-4);
+    close(interval.upper, 0.5962, 1e-4);
+    assert.deepEqual(wilsonInterval(0, 0), { lower: 0, upper: 1 });
+    close(chiSquarePValue(3.841, 1), 0.05, 1e-3);
+});
+
+test('parses fractions, odds formats and simple fractions', () => {
+    close(parseFractionOrNumber('1/4'), 0.25);
+    close(parseFractionOrNumber('0.3'), 0.3);
+    assert.deepEqual(toSimpleFraction(0.75), { numerator: 3, denominator: 4 });
+    close(parseBettingOdds('3/1').probability, 0.25, 1e-12);
+    close(parseBettingOdds('2.5').probability, 0.4, 1e-12);
+    close(parseBettingOdds('-200').probability, 2 / 3, 1e-12);
+});
+
+test('2x2 measures and Bayesian updates', () => {
+    const measures = twoByTwoMeasures(20, 80, 10, 90);
+    close(measures.oddsRatio.estimate, (20 * 90) / (80 * 10));
+    close(measures.groupA.probability, 0.2);
+    const steps = bayesianUpdateSteps(0.5, [3]);
+    close(steps[steps.length - 1].probability, 0.75, 1e-12);
+    const fair = removeOverround([0.55, 0.55]);
+    close(fair.overround, 0.1, 1e-12);
+    close(fair.fair[0], 0.5, 1e-12);
+});
+
+test('parses regression data and reports bad lines', () => {
+    assert.deepEqual(parseRegressionData('# hours, passed\n1, 0\n2\t1\n3 1'), { xs: [1, 2, 3], ys: [0, 1, 1], error: '' });
+    assert.match(parseRegressionData('1, 0\n2, 2').error, /Line 2/);
+    assert.match(parseRegressionData('1, 0').error, /at least two/);
+    assert.match(parseRegressionData('1, 1\n2, 1').error, /y = 0 and one y = 1/);
+});
+
+test('fits logistic regression by maximum likelihood', () => {
+    // Hours studied vs passed (the classic textbook example): b0 ≈ -4.0777, b1 ≈ 1.5046
+    const xs = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 1.75, 2, 2.25, 2.5, 2.75, 3, 3.25, 3.5, 4, 4.25, 4.5, 4.75, 5, 5.5];
+    const ys = [0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1];
+    const fit = fitLogisticRegression(xs, ys);
+    assert.ok(fit.converged);
+    assert.equal(fit.separated, false);
+    close(fit.intercept, -4.0777, 1e-3);
+    close(fit.slope, 1.5046, 1e-3);
+    close(fit.logLikelihood, logisticLogLikelihood(xs, ys, fit.intercept, fit.slope), 1e-12);
+    assert.ok(fit.logLikelihood > logisticLogLikelihood(xs, ys, fit.intercept, fit.slope + 0.1));
+    close(logisticLogLikelihood([1, 2], [0, 1], 0, 0), 2 * Math.log(0.5), 1e-12);
+});
+
+test('flags perfectly separated data', () => {
+    const fit = fitLogisticRegression([1, 2, 3, 4], [0, 0, 1, 1]);
+    assert.equal(fit.separated, true);
+    assert.ok(fit.slope > 0);
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededRandom } from '../random.js';
+import {
+    ConceptualQuestionGenerator,
+    QUESTION_SET_FORMAT,
+    escapeHtml,
+    parseAnswerValue,
+    gradeNumericAnswer,
+    normalizeGrade,
+} from '../question-generator.js';
+
+const generatorWithSeed = (seed, count = 12) => {
+    const generator = new ConceptualQuestionGenerator(count, createSeededRandom(seed));
+    generator.generate();
+    return generator;
+};
+
+test('the same seed always produces the same questions', () => {
+    const first = generatorWithSeed('amber-falcon-427');
+    const second = generatorWithSeed('amber-falcon-427');
+    const other = generatorWithSeed('brisk-otter-118');
+    assert.deepEqual(first.questions, second.questions);
+    assert.deepEqual(first.answers, second.answers);
+    assert.notDeepEqual(first.answers, other.answers);
+});
+
+test('every registered type generates gradable questions at every difficulty', () => {
+    const types = new ConceptualQuestionGenerator().questionTypes;
+    assert.ok(types.length >= 11);
+
+    types.forEach((type) => {
+        const definition = ConceptualQuestionGenerator.getQuestionType(type);
+        [0, 1, 2].forEach((difficulty) => {
+            const generator = new ConceptualQuestionGenerator(1, createSeededRandom(`${type}-${difficulty}`));
+            for (let i = 0; i < 20; i++) generator.addQuestion(type, difficulty);
+
+            generator.questions.forEach((question, index) => {
+                const answer = generator.answers[index];
+                assert.equal(typeof question.text, 'string');
+                assert.notEqual(answer.answer, undefined, `${type} has an answer`);
+                assert.ok(answer.steps.length > 0, `${type} has worked steps`);
+                answer.steps.forEach((step) => assert.equal(typeof step, 'string'));
+                if (definition.renderInput) assert.equal(typeof definition.renderInput(question), 'string');
+                if (definition.validateData) assert.equal(definition.validateData(question.data, answer.answer), '');
+
+                // Range questions display their answer as text; answer with the midpoint instead
+                const correct = type === 'logit-range' ? (question.data.min + question.data.max) / 2 : answer.answer;
+                const grade = normalizeGrade(definition.grade(String(correct), answer, question));
+                assert.equal(grade.score, 1, `${type} accepts its own answer "${correct}"`);
+            });
+        });
+    });
+});
+
+test('multiple-choice distractors never repeat the answer or each other', () => {
+    ['odds-choice', 'logit-choice'].forEach((type) => {
+        [0, 1, 2].forEach((difficulty) => {
+            const generator = new ConceptualQuestionGenerator(1, createSeededRandom(`${type}-slips-${difficulty}`));
+            for (let i = 0; i < 300; i++) generator.addQuestion(type, difficulty);
+
+            generator.questions.forEach((question, index) => {
+                const { answer, formula } = generator.answers[index];
+                const values = question.data.distractors.map(([value]) => value);
+                assert.ok(!values.includes(answer), `${type}: "${answer}" is not also a distractor`);
+                assert.equal(new Set(values).size, values.length);
+                assert.equal(question.data.options.filter((option) => option === answer).length, 1);
+                assert.ok(!formula.includes(`. ${answer} is `), `${type}: the answer is not explained as a mistake`);
+            });
+        });
+    });
+});
+
+test('numeric answers accept equivalent notations', () => {
+    assert.equal(parseAnswerValue('3/7'), 3 / 7);
+    assert.equal(parseAnswerValue('25%'), 0.25);
+    assert.equal(parseAnswerValue('1.5e-3'), 0.0015);
+    assert.ok(Number.isNaN(parseAnswerValue('abc')));
+
+    assert.equal(gradeNumericAnswer('0.429', 3 / 7).score, 1);
+    assert.equal(gradeNumericAnswer('3/7', 3 / 7).score, 1);
+    assert.equal(gradeNumericAnswer('0.44', 3 / 7).score, 0.5);
+    assert.equal(gradeNumericAnswer('0.9', 3 / 7).score, 0);
+});
+
+test('recognized misconceptions produce feedback', () => {
+    const misconceptions = [{ value: 0.75, feedback: 'That is the probability, not the odds.' }];
+    const grade = gradeNumericAnswer('0.75', 3, misconceptions);
+    assert.equal(grade.score, 0);
+    assert.match(grade.feedback, /probability, not the odds/);
+});
+
+test('question sets round-trip through export and import', () => {
+    const original = generatorWithSeed('calm-comet-303', 6);
+    const exported = JSON.parse(JSON.stringify(original.exportQuestionSet('calm-comet-303')));
+    assert.equal(exported.format, QUESTION_SET_FORMAT);
+    assert.equal(exported.seed, 'calm-comet-303');
+
+    const imported = new ConceptualQuestionGenerator();
+    imported.importQuestionSet(exported);
+    assert.deepEqual(imported.questions, original.questions);
+    assert.deepEqual(imported.answers, original.answers);
+    assert.deepEqual(imported.hintsUsed, original.questions.map(() => 0));
+});
+
+test('importing rejects files that are not question sets', () => {
+    const generator = new ConceptualQuestionGenerator();
+    assert.throws(() => generator.importQuestionSet({}), /not an exported question set/);
+    assert.throws(() => generator.importQuestionSet({ format: QUESTION_SET_FORMAT, questions: [] }), /no questions/);
+    assert.throws(
+        () => generator.importQuestionSet({ format: QUESTION_SET_FORMAT, questions: [{ type: 'nope', text: 'x', answer: 1 }] }),
+        /unknown type "nope"/
+    );
+});
+
+test('importing rejects malformed type-specific data and keeps the current set', () => {
+    const generator = generatorWithSeed('keen-lynx-240', 3);
+    const before = { questions: generator.questions, answers: generator.answers };
+    const choice = (data) => ({
+        format: QUESTION_SET_FORMAT,
+        questions: [{ type: 'odds-choice', text: 'Pick the odds', answer: '3', data }],
+    });
+
+    assert.throws(() => generator.importQuestionSet(choice(undefined)), /Question 1 has invalid data: options/);
+    assert.throws(() => generator.importQuestionSet(choice({ options: '3' })), /options must be a list/);
+    assert.throws(() => generator.importQuestionSet(choice({ options: ['1', '2'] })), /answer is not one of the options/);
+    assert.throws(
+        () => generator.importQuestionSet({
+            format: QUESTION_SET_FORMAT,
+            questions: [{ type: 'logit-range', text: 'Any p', answer: 'any', data: { min: 0.5 } }],
+        }),
+        /min and max/
+    );
+    assert.deepEqual(generator.questions, before.questions);
+    assert.deepEqual(generator.answers, before.answers);
+
+    generator.importQuestionSet(choice({ options: ['1', '3'], distractors: [['1', 'a slip']] }));
+    assert.equal(generator.questions.length, 1);
+});
+
+test('hints reveal one worked step at a time', () => {
+    const generator = generatorWithSeed('gentle-raven-512', 1);
+    const steps = generator.answers[0].steps;
+    steps.forEach((step) => assert.equal(generator.revealHint(0), step));
+    assert.equal(generator.revealHint(0), null);
+    assert.equal(generator.hintsUsed[0], steps.length);
+});
+
+test('resetting hints keeps an imported set as it is', () => {
+    const exported = generatorWithSeed('quiet-heron-118', 2).exportQuestionSet(null);
+    const generator = generatorWithSeed('bold-otter-904', 5);
+    generator.importQuestionSet(exported);
+    const { questions, answers } = generator;
+    generator.revealHint(1);
+
+    generator.resetHints();
+    assert.equal(generator.questions, questions);
+    assert.equal(generator.answers, answers);
+    assert.deepEqual(generator.hintsUsed, [0, 0]);
+    assert.equal(generator.revealHint(1), answers[1].steps[0]);
+});
+
+test('custom question types can be registered and removed', () => {
+    ConceptualQuestionGenerator.registerQuestionType({
+        id: 'test-constant',
+        label: 'Constant',
+        generate: () => ({ text: 'What is 1/2 as a decimal?', answer: 0.5, formula: '1/2 = 0.5' }),
+        renderInput: () => '',
+        readAnswer: () => '',
+        grade: (userRaw, answer) => gradeNumericAnswer(userRaw, answer.answer),
+        explain: (generated) => generated.formula,
+    });
+    try {
+        const generator = new ConceptualQuestionGenerator(2, createSeededRandom('custom'));
+        generator.questionTypes = ['test-constant'];
+        generator.generate();
+        assert.deepEqual(generator.answers.map((answer) => answer.steps), [['1/2 = 0.5'], ['1/2 = 0.5']]);
+    } finally {
+        ConceptualQuestionGenerator.unregisterQuestionType('test-constant');
+    }
+    assert.equal(ConceptualQuestionGenerator.getQuestionType('test-constant'), undefined);
+    assert.throws(() => ConceptualQuestionGenerator.registerQuestionType({ id: 'broken' }), /missing/);
+});
+
+test('escapes HTML in question text', () => {
+    assert.equal(escapeHtml('<b>"1 & 2"</b>'), '&lt;b&gt;&quot;1 &amp; 2&quot;&lt;/b&gt;');
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeededRandom } from '../random.js';
+import { createSimulationJob, simulateCategorical } from '../simulation-engine.js';
+
+test('categorical draws follow the given probabilities', () => {
+    const probabilities = [0.5, 0.3, 0.2];
+    const counts = simulateCategorical(probabilities, 20000, createSeededRandom('categorical'));
+    assert.equal(counts.reduce((total, count) => total + count, 0), 20000);
+    counts.forEach((count, index) => assert.ok(Math.abs(count / 20000 - probabilities[index]) < 0.015));
+
+    // A zero-probability outcome is never drawn; the same seed repeats the same counts
+    assert.equal(simulateCategorical([0.6, 0, 0.4], 1000, createSeededRandom('zero'))[1], 0);
+    assert.deepEqual(
+        simulateCategorical(probabilities, 500, createSeededRandom('repeat')),
+        simulateCategorical(probabilities, 500, createSeededRandom('repeat'))
+    );
+});
+
+test('a single-run job reports every trial and the same seed gives the same successes', () => {
+    const run = (seed) => {
+        const job = createSimulationJob({ kind: 'single', p: 0.3, n: 5000, seed });
+        let progress;
+        do progress = job.step(); while (!progress.done);
+        return progress;
+    };
+    const first = run('amber-falcon-427');
+    assert.equal(first.completed, 5000);
+    assert.ok(Math.abs(first.successes / 5000 - 0.3) < 0.03);
+    assert.equal(run('amber-falcon-427').successes, first.successes);
+});
+
+test('a repeated job tallies one success count per experiment', () => {
+    const job = createSimulationJob({ kind: 'repeated', p: 0.5, n: 10, repetitions: 300, seed: 'repeated' });
+    let progress;
+    do progress = job.step(); while (!progress.done);
+    assert.equal(progress.completed, 300);
+    assert.equal(progress.tally.reduce((total, [, experiments]) => total + experiments, 0), 300);
+    progress.tally.forEach(([successes]) => assert.ok(successes >= 0 && successes <= 10));
+});
+
+test('a repeated job splits experiments too long for one chunk across several', () => {
+    const job = createSimulationJob({ kind: 'repeated', p: 0.5, n: 3000000, repetitions: 2, seed: 'long-experiments' });
+    const first = job.step();
+    assert.equal(first.completed, 0);
+    assert.equal(first.done, false);
+
+    let progress = first;
+    let chunks = 1;
+    while (!progress.done) {
+        progress = job.step();
+        chunks++;
+    }
+    assert.equal(chunks, 60);
+    assert.equal(progress.completed, 2);
+    progress.tally.forEach(([successes]) => assert.ok(Math.abs(successes / 3000000 - 0.5) < 0.01));
+});